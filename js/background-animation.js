@@ -1,288 +1,866 @@
 'use strict';
 
 /**
- * TriangularMeshBackground
- * Animated triangular mesh background for Praxis San Diego website
- * With smooth node transitions when menu opens/closes
+ * Background Animation Engine for Praxis San Diego
+ * Runs the animated mesh on #backgroundCanvas: the canvas size, the
+ * animation loop, the pause button, pausing in hidden tabs, and keeping the
+ * mesh out from behind the content. When the menu opens or closes
+ * (menuStateChange from menu2.js) the content shifts, and nodes appear and
+ * disappear in a sweep that follows the menu's CSS transition.
+ *
+ * What the mesh looks like comes from a plugin, chosen per page with a data
+ * attribute on the canvas (small-world when there isn't one):
+ *
+ *   <canvas id="backgroundCanvas" data-mesh="triangular"></canvas>
+ *
+ * js/background-meshes.js registers the built-in meshes. A mesh is a class
+ * registered with registerBackgroundMesh(name, MeshClass). The engine makes
+ * a new one whenever the canvas is resized and calls:
+ *   createNodes(width, height)  Where the nodes sit, as [{baseX, baseY}];
+ *                               the engine adds id, side, wobble and opacity
+ *   setup(nodes)                (optional) Once the nodes are ready
+ *   step(nodes)                 (optional) Every frame while animating
+ *   drawEdges(ctx, nodes)       Draw the edges; node.opacity is 0 for
+ *                               nodes hidden behind the content
+ *
+ * Meshes find nearby nodes with a SpatialGrid and draw through an
+ * EdgeBatch, which keeps wide screens with thousands of nodes smooth.
+ * scripts/bench-background.js measures a frame headless.
+ *
+ * The pause button (#animationToggle) is remembered across pages. Visitors
+ * who prefer reduced motion get a still mesh until they press it, and
+ * phones always get a still one.
+ *
+ * With data-worker on the canvas the engine runs in a worker
+ * (js/background-worker.js) on an OffscreenCanvas, and this page only
+ * passes on resizing, visibility, pausing and the menu. Browsers that can't
+ * do that, or a worker that fails, get the engine on the main thread.
  */
-class TriangularMeshBackground {
+
+const DEFAULT_BACKGROUND_MESH = 'small-world';
+const BACKGROUND_MESHES = {};
+
+/**
+ * Make a mesh available to data-mesh
+ * @param {string} name - Value of the canvas's data-mesh attribute
+ * @param {Function} MeshClass - Constructed with the engine
+ */
+function registerBackgroundMesh(name, MeshClass) {
+    BACKGROUND_MESHES[name] = MeshClass;
+}
+
+/**
+ * Irregular triangular lattice of nodes covering an area, with a margin
+ * of one row and column so the edges of the screen aren't bare
+ * @param {number} width - px
+ * @param {number} height - px
+ * @param {number} spacing - Distance between neighbouring nodes (px)
+ * @param {number} [jitter] - How far nodes stray from the lattice, as a fraction of spacing
+ * @returns {Array<{baseX: number, baseY: number, row: number, col: number}>}
+ */
+function createLatticeNodes(width, height, spacing, jitter = 0.6) {
+    const nodes = [];
+    const rows = Math.ceil(height / (spacing * 0.866)) + 2;
+    const cols = Math.ceil(width / spacing) + 2;
+
+    for (let row = -1; row < rows; row++) {
+        for (let col = -1; col < cols; col++) {
+            const randomOffsetX = (Math.random() - 0.5) * spacing * jitter;
+            const randomOffsetY = (Math.random() - 0.5) * spacing * jitter;
+
+            nodes.push({
+                baseX: col * spacing + (row % 2) * (spacing / 2) + randomOffsetX,
+                baseY: row * spacing * 0.866 + randomOffsetY,
+                row: row,
+                col: col
+            });
+        }
+    }
+    return nodes;
+}
+
+// Half the cells around a cell, so each pair of cells is visited once
+const SPATIAL_GRID_FORWARD_CELLS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+/**
+ * SpatialGrid
+ * Nodes bucketed into square cells by where they are, so the nodes near
+ * one are found by looking in the cells around it rather than at every node.
+ * A mesh keeps one grid and refills it each frame with update(); its arrays
+ * are reused, so a frame allocates nothing new once they are big enough.
+ */
+class SpatialGrid {
+    /**
+     * @param {number} cellSize - px; nodes closer than this are in the same or touching cells
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.nodes = []; // The nodes bucketed by the last update()
+        this.minCol = 0;
+        this.minRow = 0;
+        this.cols = 0;
+        this.rows = 0;
+        // Cell i holds cellNodes[cellStart[i]] up to cellNodes[cellStart[i + 1]]
+        this.cellStart = new Int32Array(1);
+        this.cellNodes = [];
+        this.nodeCells = new Int32Array(0); // Cell of each of this.nodes
+    }
+
+    /**
+     * Bucket nodes by where they are now
+     * @param {Array<Object>} nodes - With x and y
+     * @param {Function} [include] - Leave out nodes this returns false for
+     * @returns {SpatialGrid} - This grid
+     */
+    update(nodes, include) {
+        const shown = this.nodes;
+        shown.length = 0;
+        let minCol = Infinity;
+        let minRow = Infinity;
+        let maxCol = -Infinity;
+        let maxRow = -Infinity;
+
+        for (const node of nodes) {
+            if (include && !include(node)) continue;
+            shown.push(node);
+            const col = Math.floor(node.x / this.cellSize);
+            const row = Math.floor(node.y / this.cellSize);
+            if (col < minCol) minCol = col;
+            if (col > maxCol) maxCol = col;
+            if (row < minRow) minRow = row;
+            if (row > maxRow) maxRow = row;
+        }
+
+        const count = shown.length;
+        this.minCol = count > 0 ? minCol : 0;
+        this.minRow = count > 0 ? minRow : 0;
+        this.cols = count > 0 ? maxCol - minCol + 1 : 0;
+        this.rows = count > 0 ? maxRow - minRow + 1 : 0;
+
+        const cellCount = this.cols * this.rows;
+        if (this.cellStart.length < cellCount + 1) {
+            this.cellStart = new Int32Array(cellCount + 1);
+        } else {
+            this.cellStart.fill(0, 0, cellCount + 1);
+        }
+        if (this.nodeCells.length < count) {
+            this.nodeCells = new Int32Array(count);
+        }
+
+        // Count each cell's nodes, turn the counts into where each cell ends,
+        // then fill every cell from its end back to its start
+        const cellStart = this.cellStart;
+        for (let i = 0; i < count; i++) {
+            const cell = (Math.floor(shown[i].y / this.cellSize) - this.minRow) * this.cols +
+                Math.floor(shown[i].x / this.cellSize) - this.minCol;
+            this.nodeCells[i] = cell;
+            cellStart[cell]++;
+        }
+        for (let cell = 1; cell < cellCount; cell++) {
+            cellStart[cell] += cellStart[cell - 1];
+        }
+        cellStart[cellCount] = count;
+        this.cellNodes.length = count;
+        for (let i = count - 1; i >= 0; i--) {
+            this.cellNodes[--cellStart[this.nodeCells[i]]] = shown[i];
+        }
+        return this;
+    }
+
+    /**
+     * @param {number} col - Counted from the grid's first column
+     * @param {number} row - Counted from the grid's first row
+     * @returns {number} - Index of the cell, or -1 outside the grid
+     */
+    getCell(col, row) {
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return -1;
+        return row * this.cols + col;
+    }
+
+    /**
+     * Call back once for every pair of nodes closer than a distance
+     * @param {number} maxDistance - px, no more than the cell size
+     * @param {Function} callback - Given both nodes and the distance between them
+     */
+    forEachClosePair(maxDistance, callback) {
+        const maxSquared = maxDistance * maxDistance;
+        const { cellStart, cellNodes } = this;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const cell = row * this.cols + col;
+                const start = cellStart[cell];
+                const end = cellStart[cell + 1];
+                if (start === end) continue;
+
+                for (let i = start; i < end; i++) {
+                    const a = cellNodes[i];
+                    for (let j = i + 1; j < end; j++) {
+                        const b = cellNodes[j];
+                        const squared = (b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y);
+                        if (squared < maxSquared) callback(a, b, Math.sqrt(squared));
+                    }
+                }
+
+                for (const [dc, dr] of SPATIAL_GRID_FORWARD_CELLS) {
+                    const other = this.getCell(col + dc, row + dr);
+                    if (other === -1) continue;
+                    const otherEnd = cellStart[other + 1];
+                    for (let i = start; i < end; i++) {
+                        const a = cellNodes[i];
+                        for (let j = cellStart[other]; j < otherEnd; j++) {
+                            const b = cellNodes[j];
+                            const squared = (b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y);
+                            if (squared < maxSquared) callback(a, b, Math.sqrt(squared));
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the closest other node, searching rings of cells outward
+     * @param {Object} node
+     * @returns {?Object}
+     */
+    nearest(node) {
+        const col = Math.floor(node.x / this.cellSize) - this.minCol;
+        const row = Math.floor(node.y / this.cellSize) - this.minRow;
+        const maxRing = Math.max(col, this.cols - 1 - col, row, this.rows - 1 - row);
+        let nearest = null;
+        let nearestDist = Infinity;
+
+        const visit = (c, r) => {
+            const cell = this.getCell(c, r);
+            if (cell === -1) return;
+            for (let i = this.cellStart[cell]; i < this.cellStart[cell + 1]; i++) {
+                const other = this.cellNodes[i];
+                if (other.id === node.id) continue;
+                const dist = Math.sqrt((other.x - node.x) ** 2 + (other.y - node.y) ** 2);
+                if (dist < nearestDist) {
+                    nearestDist = dist;
+                    nearest = other;
+                }
+            }
+        };
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Everything from this ring out is at least (ring - 1) cells away
+            if (nearestDist <= (ring - 1) * this.cellSize) break;
+
+            for (let dc = -ring; dc <= ring; dc++) {
+                if (Math.abs(dc) === ring) {
+                    for (let dr = -ring; dr <= ring; dr++) visit(col + dc, row + dr);
+                } else {
+                    visit(col + dc, row - ring);
+                    if (ring > 0) visit(col + dc, row + ring);
+                }
+            }
+        }
+
+        return nearest;
+    }
+}
+
+const EDGE_OPACITY_STEPS = 100; // Edges are stroked in batches of opacity rounded to this many steps
+
+/**
+ * EdgeBatch
+ * Collects a frame's edges and strokes each opacity as one path, instead
+ * of one path per edge. Stroking empties it for the next frame, keeping
+ * its arrays.
+ */
+class EdgeBatch {
     constructor() {
-        this.canvas = document.getElementById('backgroundCanvas');
-        if (!this.canvas) {
-            console.warn('Background canvas element not found');
-            return;
+        // Opacity step -> x1, y1, x2, y2, ... of its edges; lengths[step] of them are in use
+        this.buckets = Array.from({ length: EDGE_OPACITY_STEPS + 1 }, () => new Float64Array(64));
+        this.lengths = new Int32Array(EDGE_OPACITY_STEPS + 1);
+    }
+
+    /**
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     * @param {number} opacity
+     */
+    add(a, b, opacity) {
+        const step = Math.min(Math.round(opacity * EDGE_OPACITY_STEPS), EDGE_OPACITY_STEPS);
+        if (step <= 0) return;
+
+        let coords = this.buckets[step];
+        const length = this.lengths[step];
+        if (length + 4 > coords.length) {
+            coords = new Float64Array(coords.length * 2);
+            coords.set(this.buckets[step]);
+            this.buckets[step] = coords;
+        }
+        coords[length] = a.x;
+        coords[length + 1] = a.y;
+        coords[length + 2] = b.x;
+        coords[length + 3] = b.y;
+        this.lengths[step] = length + 4;
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    stroke(ctx) {
+        ctx.lineWidth = 1;
+        for (let step = 1; step <= EDGE_OPACITY_STEPS; step++) {
+            const length = this.lengths[step];
+            if (length === 0) continue;
+
+            const coords = this.buckets[step];
+            ctx.strokeStyle = `rgba(0, 0, 0, ${step / EDGE_OPACITY_STEPS})`;
+            ctx.beginPath();
+            for (let i = 0; i < length; i += 4) {
+                ctx.moveTo(coords[i], coords[i + 1]);
+                ctx.lineTo(coords[i + 2], coords[i + 3]);
+            }
+            ctx.stroke();
+            this.lengths[step] = 0;
+        }
+    }
+}
+
+/**
+ * Connect the nodes in a grid that are currently close to each other
+ * @param {EdgeBatch} batch
+ * @param {SpatialGrid} grid - Of the shown nodes, with cells at least threshold wide
+ * @param {number} threshold - Longest edge (px)
+ * @param {Set<number>} [connected] - Gets the ids of nodes with a clearly visible edge
+ */
+function addLocalEdges(batch, grid, threshold, connected) {
+    grid.forEachClosePair(threshold, (node1, node2) => {
+        // An edge is as faint as its fainter end
+        const edgeOpacity = Math.min(node1.opacity, node2.opacity) * 0.2;
+        batch.add(node1, node2, edgeOpacity);
+
+        if (connected && edgeOpacity > 0.1) {
+            connected.add(node1.id);
+            connected.add(node2.id);
         }
+    });
+}
+
+/**
+ * Schedule a frame; workers without requestAnimationFrame get a timer
+ * @param {Function} callback
+ * @returns {number}
+ */
+function requestBackgroundFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(callback, 1000 / 60);
+}
 
-        this.ctx = this.canvas.getContext('2d');
-        this.allNodes = []; // All potential nodes (including those in content area)
+/**
+ * BackgroundEngine
+ * Animates a mesh on a canvas or OffscreenCanvas. It doesn't touch the page,
+ * so it runs the same in a worker (js/background-worker.js); the page's
+ * state reaches it through update().
+ */
+class BackgroundEngine {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {Function} MeshClass - From BACKGROUND_MESHES
+     * @param {Object} settings - See update()
+     */
+    constructor(canvas, MeshClass, settings) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.MeshClass = MeshClass;
+        this.mesh = null;
+        this.nodes = [];
+        this.dotBatches = Array.from({ length: EDGE_OPACITY_STEPS + 1 }, () => []); // Opacity step -> nodes, refilled each frame
         this.time = 0;
         this.contentWidth = 900; // Max width of content
         this.contentPadding = 50; // Extra padding around content
-        this.isAnimating = true;
-        this.isPaused = false; // Track user's pause preference
-        this.isVisible = true; // Track page visibility
-        this.menuWidth = 0; // Current menu width (0 when closed)
-        this.transitionDuration = 300; // Match CSS menu transition (ms)
-
-        this.init();
-        this.animate();
-
-        // Handle resize
-        window.addEventListener('resize', () => this.handleResize());
-
-        // Handle page visibility changes
-        document.addEventListener('visibilitychange', () => {
-            this.isVisible = !document.hidden;
-            this.updateAnimationState();
-        });
+        this.isAnimating = false;
+        this.isPaused = false; // User's pause preference
+        this.isVisible = true; // Page visibility
+        this.animationFrameId = null;
+
+        // Menu state; the content centers in the space the menu leaves
+        this.menuWidth = 0;
+        this.meshHeight = 0; // Height the nodes were laid out for
+
+        // Content boundaries, animated between previous and target when the menu moves
+        this.boundaryTransitionDuration = 300; // ms, matches CSS menu transition
+        this.boundaryTransitionStart = null;
+        this.transitionProgress = 1;
+        this.isTransitioning = false;
+
+        this.update(settings);
+    }
 
-        // Handle menu state changes
-        window.addEventListener('menuStateChange', (e) => {
-            this.handleMenuStateChange(e.detail.isOpen, e.detail.menuWidth);
-        });
+    /**
+     * Catch up with the page; only what changed takes effect
+     * @param {Object} settings
+     * @param {number} settings.width - Window size (px)
+     * @param {number} settings.height
+     * @param {boolean} settings.visible - Whether the page is shown
+     * @param {boolean} settings.paused - Whether to hold the mesh still
+     * @param {boolean} settings.reducedMotion - Whether the visitor asked for less motion
+     * @param {number} settings.menuWidth - 0 when the menu is closed
+     */
+    update(settings) {
+        if (this.mesh === null || settings.width !== this.canvas.width || settings.height > this.meshHeight) {
+            // A new mesh starts out fitted to the menu
+            this.menuWidth = settings.menuWidth;
+            this.init(settings.width, settings.height);
+            this.requestFrame();
+        } else if (settings.height !== this.canvas.height) {
+            // Mobile browsers change the height as their toolbars slide away;
+            // the mesh already reaches that far, so it stays
+            this.canvas.height = settings.height;
+            this.requestFrame();
+        }
 
-        // Handle animation toggle
-        const toggleBtn = document.getElementById('animationToggle');
-        if (toggleBtn) {
-            toggleBtn.addEventListener('click', () => {
-                this.isPaused = !this.isPaused;
-                this.updateAnimationState();
-                toggleBtn.textContent = '♻︎';
-                toggleBtn.classList.toggle('paused', this.isPaused);
-            });
+        if (settings.menuWidth !== this.menuWidth) {
+            this.menuWidth = settings.menuWidth;
+            if (settings.reducedMotion) {
+                this.setContentBounds();
+            } else {
+                this.startBoundaryTransition();
+            }
+            this.requestFrame();
         }
+
+        this.isVisible = settings.visible;
+        this.isPaused = settings.paused;
+        this.updateAnimationState();
     }
 
     updateAnimationState() {
         // Only animate if page is visible AND user hasn't paused
         this.isAnimating = this.isVisible && !this.isPaused;
+        if (this.isAnimating) {
+            this.requestFrame();
+        }
     }
 
-    handleResize() {
-        // On resize, reinitialize all nodes
-        this.init();
+    /**
+     * Draw a frame soon, unless one is already coming
+     */
+    requestFrame() {
+        if (this.animationFrameId === null) {
+            this.animationFrameId = requestBackgroundFrame(() => this.frame());
+        }
     }
 
-    handleMenuStateChange(isOpen, menuWidth) {
-        const targetMenuWidth = isOpen ? menuWidth : 0;
-        
-        if (this.menuWidth === targetMenuWidth) return;
-        
-        this.menuWidth = targetMenuWidth;
-        this.updateContentBounds();
-        this.animateNodeVisibility();
+    /**
+     * Content boundaries for a menu width
+     * @param {number} menuWidth - 0 when the menu is closed
+     * @returns {{left: number, right: number}}
+     */
+    getContentBounds(menuWidth) {
+        // Where the content fills the screen there are no margins to keep
+        // clear; the whole mesh is drawn and the content covers it
+        if (this.canvas.width <= this.contentWidth + 2 * this.contentPadding) {
+            return { left: -1, right: -1 };
+        }
+
+        const center = (this.canvas.width - menuWidth) / 2;
+        return {
+            left: Math.max(0, center - this.contentWidth / 2 - this.contentPadding),
+            right: center + this.contentWidth / 2 + this.contentPadding
+        };
     }
 
     /**
-     * Calculate content boundaries accounting for menu offset
+     * Size the canvas and build a new mesh for it
+     * @param {number} width - px
+     * @param {number} height - px
      */
-    updateContentBounds() {
-        // When menu is open, body gets padding-right which shifts content left
-        // The available width becomes canvas.width - menuWidth
-        // Content centers in available width
-        const availableWidth = this.canvas.width - this.menuWidth;
-        const contentCenter = availableWidth / 2;
-        
-        this.contentLeft = contentCenter - this.contentWidth / 2 - this.contentPadding;
-        this.contentRight = contentCenter + this.contentWidth / 2 + this.contentPadding;
+    init(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.meshHeight = height;
+        this.setContentBounds();
+
+        // A node's side is where it sits with the menu closed
+        const home = this.getContentBounds(0);
+
+        this.mesh = new this.MeshClass(this);
+        this.nodes = this.mesh.createNodes(this.canvas.width, this.canvas.height).map((node, id) => Object.assign(node, {
+            id: id,
+            x: node.baseX,
+            y: node.baseY,
+            offsetX: Math.random() * 15 - 7.5,
+            offsetY: Math.random() * 15 - 7.5,
+            phase: Math.random() * Math.PI * 2,
+            amplitude: 8 + Math.random() * 12,
+            speed: 0.8 + Math.random() * 0.4,
+            side: node.baseX < home.left ? 'left' : node.baseX > home.right ? 'right' : 'content',
+            opacity: 0
+        }));
+
+        if (this.mesh.setup) {
+            this.mesh.setup(this.nodes);
+        }
+        this.moveNodes();
     }
 
     /**
-     * Check if a node should be visible based on current content bounds
+     * Move the content boundaries straight to where the menu leaves them
      */
-    shouldNodeBeVisible(node) {
-        return node.baseX < this.contentLeft || node.baseX > this.contentRight;
+    setContentBounds() {
+        const bounds = this.getContentBounds(this.menuWidth);
+        this.contentLeft = this.previousContentLeft = this.targetContentLeft = bounds.left;
+        this.contentRight = this.previousContentRight = this.targetContentRight = bounds.right;
+        this.isTransitioning = false;
     }
 
     /**
-     * Animate nodes fading in/out based on their new visibility state
-     * Animation sweeps from right to left
+     * Start animating the content boundaries to their new target positions
      */
-    animateNodeVisibility() {
-        const now = performance.now();
-        const maxX = this.canvas.width;
-        
-        this.allNodes.forEach(node => {
-            const shouldBeVisible = this.shouldNodeBeVisible(node);
-            const targetOpacity = shouldBeVisible ? 1 : 0;
-            
-            // Only animate if the target changed
-            if (node.targetOpacity !== targetOpacity) {
-                // Calculate delay based on x position for right-to-left sweep
-                // Nodes on the right start first (smaller delay)
-                const normalizedX = node.baseX / maxX; // 0 = left, 1 = right
-                const delay = (1 - normalizedX) * this.transitionDuration * 0.6;
-                
-                node.transitionStartTime = now + delay;
-                node.transitionEndTime = now + delay + this.transitionDuration * 0.5;
-                node.startOpacity = node.opacity;
-                node.targetOpacity = targetOpacity;
-            }
-        });
+    startBoundaryTransition() {
+        const target = this.getContentBounds(this.menuWidth);
+        this.targetContentLeft = target.left;
+        this.targetContentRight = target.right;
+
+        // Start from wherever an unfinished transition got to
+        this.previousContentLeft = this.contentLeft;
+        this.previousContentRight = this.contentRight;
+
+        this.boundaryTransitionStart = performance.now();
+        this.transitionProgress = 0;
+        this.isTransitioning = true;
     }
 
     /**
-     * Initialize the mesh with all potential nodes
+     * Update boundary animation (called each frame)
      */
-    init() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-
-        // Clear existing nodes
-        this.allNodes = [];
-
-        // Calculate initial content bounds
-        this.updateContentBounds();
-
-        // Create irregular triangular grid with more randomness
-        const baseSpacing = 60; // Base distance between nodes
-        const rows = Math.ceil(this.canvas.height / (baseSpacing * 0.866)) + 2;
-        const cols = Math.ceil(this.canvas.width / baseSpacing) + 2;
-
-        for (let row = -1; row < rows; row++) {
-            for (let col = -1; col < cols; col++) {
-                // Add significant randomness to positions
-                const randomOffsetX = (Math.random() - 0.5) * baseSpacing * 0.6;
-                const randomOffsetY = (Math.random() - 0.5) * baseSpacing * 0.6;
-
-                const x = col * baseSpacing + (row % 2) * (baseSpacing / 2) + randomOffsetX;
-                const y = row * baseSpacing * 0.866 + randomOffsetY;
-
-                const node = {
-                    x: x,
-                    y: y,
-                    baseX: x,
-                    baseY: y,
-                    offsetX: Math.random() * 15 - 7.5,
-                    offsetY: Math.random() * 15 - 7.5,
-                    phase: Math.random() * Math.PI * 2,
-                    amplitude: 8 + Math.random() * 12,
-                    speed: 0.8 + Math.random() * 0.4,
-                    // Opacity properties for transitions
-                    opacity: 0,
-                    targetOpacity: 0,
-                    startOpacity: 0,
-                    transitionStartTime: undefined,
-                    transitionEndTime: undefined
-                };
-
-                // Set initial opacity based on position
-                const shouldBeVisible = this.shouldNodeBeVisible(node);
-                node.opacity = shouldBeVisible ? 1 : 0;
-                node.targetOpacity = node.opacity;
-
-                this.allNodes.push(node);
-            }
-        }
+    updateBoundaryTransition() {
+        if (!this.isTransitioning) return;
+
+        const elapsed = performance.now() - this.boundaryTransitionStart;
+        const rawProgress = Math.min(1, elapsed / this.boundaryTransitionDuration);
 
-        this.spacing = baseSpacing;
+        // Ease-out to match CSS ease timing
+        this.transitionProgress = 1 - Math.pow(1 - rawProgress, 3);
+
+        this.contentLeft = this.previousContentLeft +
+            (this.targetContentLeft - this.previousContentLeft) * this.transitionProgress;
+        this.contentRight = this.previousContentRight +
+            (this.targetContentRight - this.previousContentRight) * this.transitionProgress;
+
+        if (rawProgress >= 1) {
+            this.isTransitioning = false;
+        }
     }
 
     /**
-     * Update node opacities based on transitions
+     * Get node opacity based on its position during a boundary transition
+     * Creates a sweeping effect synchronized with menu animation
+     *
+     * When menu OPENS (boundaries move left):
+     * - Left side: nodes disappear from right to left (rightmost disappear first)
+     * - Right side: nodes appear from right to left (rightmost appear first)
+     *
+     * When menu CLOSES (boundaries move right):
+     * - Left side: nodes appear from left to right (leftmost appear first)
+     * - Right side: nodes disappear from left to right (leftmost disappear first)
      */
-    updateNodeOpacities() {
-        const now = performance.now();
-        
-        this.allNodes.forEach(node => {
-            if (node.transitionStartTime !== undefined) {
-                if (now < node.transitionStartTime) {
-                    // Transition hasn't started yet
-                    return;
-                }
-                
-                if (now >= node.transitionEndTime) {
-                    // Transition complete
-                    node.opacity = node.targetOpacity;
-                    node.transitionStartTime = undefined;
-                    node.transitionEndTime = undefined;
-                } else {
-                    // Transition in progress - use easeInOut
-                    const duration = node.transitionEndTime - node.transitionStartTime;
-                    const elapsed = now - node.transitionStartTime;
-                    const progress = elapsed / duration;
-                    
-                    // Ease in-out cubic
-                    const eased = progress < 0.5 
-                        ? 4 * progress * progress * progress 
-                        : 1 - Math.pow(-2 * progress + 2, 3) / 2;
-                    
-                    node.opacity = node.startOpacity + (node.targetOpacity - node.startOpacity) * eased;
+    getNodeTransitionOpacity(node) {
+        const progress = this.transitionProgress;
+        const fadeWidth = 80; // Width of fade zone in pixels
+
+        const x = node.baseX;
+        const prevLeft = this.previousContentLeft;
+        const prevRight = this.previousContentRight;
+        const targLeft = this.targetContentLeft;
+        const targRight = this.targetContentRight;
+
+        // Determine if this node is on the left side or right side of content
+        // Use the midpoint between old and new content area
+        const contentCenter = (prevLeft + prevRight + targLeft + targRight) / 4;
+
+        if (x < contentCenter) {
+            const currentBoundary = prevLeft + (targLeft - prevLeft) * progress;
+
+            if (targLeft < prevLeft) {
+                // Menu opening: the left zone shrinks, nodes nearest the content go first
+                if (x < targLeft) return 1;
+                if (x < currentBoundary) {
+                    return Math.max(0, Math.min(1, (currentBoundary - x) / fadeWidth));
                 }
+                return 0;
             }
-        });
+
+            // Menu closing: the left zone grows, revealed from its old edge
+            if (x < prevLeft) return 1;
+            if (x < currentBoundary) {
+                const revealedDistance = currentBoundary - prevLeft;
+                return revealedDistance > 0 ? Math.min(1, (x - prevLeft) / Math.min(fadeWidth, revealedDistance)) : 0;
+            }
+            return 0;
+        }
+
+        const currentBoundary = prevRight + (targRight - prevRight) * progress;
+
+        if (targRight < prevRight) {
+            // Menu opening: the right zone grows, revealed from its old edge
+            if (x > prevRight) return 1;
+            if (x > currentBoundary) {
+                const revealedDistance = prevRight - currentBoundary;
+                return revealedDistance > 0 ? Math.min(1, (prevRight - x) / Math.min(fadeWidth, revealedDistance)) : 0;
+            }
+            return 0;
+        }
+
+        // Menu closing: the right zone shrinks, nodes nearest the content go first
+        if (x > targRight) return 1;
+        if (x > currentBoundary) {
+            return Math.max(0, Math.min(1, (x - currentBoundary) / fadeWidth));
+        }
+        return 0;
     }
 
     /**
-     * Draw connections between visible nearby nodes
+     * How strongly to draw a node: 0 behind the content, 1 clear of it
+     * @param {Object} node
+     * @returns {number}
      */
-    drawConnections() {
-        // Only draw connections between nodes that have some opacity
-        const visibleNodes = this.allNodes.filter(node => node.opacity > 0.01);
-        
-        for (let i = 0; i < visibleNodes.length; i++) {
-            const node1 = visibleNodes[i];
-
-            for (let j = i + 1; j < visibleNodes.length; j++) {
-                const node2 = visibleNodes[j];
-                const dist = Math.sqrt(
-                    Math.pow(node2.x - node1.x, 2) +
-                    Math.pow(node2.y - node1.y, 2)
-                );
-
-                // Connect nodes that are close
-                if (dist < this.spacing * 1.5) {
-                    // Connection opacity is the minimum of both node opacities
-                    const connectionOpacity = Math.min(node1.opacity, node2.opacity) * 0.2;
-                    this.ctx.strokeStyle = `rgba(0, 0, 0, ${connectionOpacity})`;
-                    this.ctx.lineWidth = 1;
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(node1.x, node1.y);
-                    this.ctx.lineTo(node2.x, node2.y);
-                    this.ctx.stroke();
-                }
-            }
+    getNodeDrawOpacity(node) {
+        if (this.isTransitioning) {
+            return this.getNodeTransitionOpacity(node);
         }
+        return node.baseX < this.contentLeft || node.baseX > this.contentRight ? 1 : 0;
     }
 
-    animate() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    /**
+     * Wobble every node around its place
+     */
+    moveNodes() {
+        this.nodes.forEach(node => {
+            node.x = node.baseX + node.offsetX +
+                Math.sin(this.time * node.speed + node.phase) * node.amplitude;
+            node.y = node.baseY + node.offsetY +
+                Math.cos(this.time * node.speed * 0.7 + node.phase) * node.amplitude * 0.7;
+        });
+    }
 
-        // Update node opacities for transitions
-        this.updateNodeOpacities();
+    frame() {
+        this.animationFrameId = null;
 
-        // Update node positions only if animating
         if (this.isAnimating) {
             this.time += 0.015;
+            if (this.mesh.step) {
+                this.mesh.step(this.nodes);
+            }
+            this.moveNodes();
         }
 
-        this.allNodes.forEach(node => {
-            if (this.isAnimating) {
-                node.x = node.baseX + node.offsetX +
-                       Math.sin(this.time * node.speed + node.phase) * node.amplitude;
-                node.y = node.baseY + node.offsetY +
-                       Math.cos(this.time * node.speed * 0.7 + node.phase) * node.amplitude * 0.7;
-            }
+        // Boundaries follow the menu even while paused
+        this.updateBoundaryTransition();
+        this.nodes.forEach(node => {
+            node.opacity = this.getNodeDrawOpacity(node);
         });
 
-        // Draw connections first
-        this.drawConnections();
+        this.draw();
+
+        if (this.isAnimating || this.isTransitioning) {
+            this.requestFrame();
+        }
+    }
+
+    draw() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Edges first so the nodes sit on top
+        this.mesh.drawEdges(this.ctx, this.nodes);
 
-        // Draw nodes with their individual opacity
-        this.allNodes.forEach(node => {
-            if (node.opacity > 0.01) {
-                this.ctx.fillStyle = `rgba(0, 0, 0, ${0.5 * node.opacity})`;
-                this.ctx.beginPath();
+        // Nodes are filled in batches of the same opacity, like edges
+        const dots = this.dotBatches;
+        this.nodes.forEach(node => {
+            const step = Math.round(0.5 * node.opacity * EDGE_OPACITY_STEPS);
+            if (step <= 0) return;
+            dots[Math.min(step, EDGE_OPACITY_STEPS)].push(node);
+        });
+
+        dots.forEach((nodes, step) => {
+            if (nodes.length === 0) return;
+            this.ctx.fillStyle = `rgba(0, 0, 0, ${step / EDGE_OPACITY_STEPS})`;
+            this.ctx.beginPath();
+            nodes.forEach(node => {
+                this.ctx.moveTo(node.x + 2.5, node.y);
                 this.ctx.arc(node.x, node.y, 2.5, 0, Math.PI * 2);
-                this.ctx.fill();
-            }
+            });
+            this.ctx.fill();
+            nodes.length = 0;
         });
+    }
+}
+
+// Where this script was loaded from; the worker script sits next to it
+const BACKGROUND_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src
+    : null;
+
+/**
+ * Hand the canvas to a worker that runs the engine (js/background-worker.js)
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} name - Key of BACKGROUND_MESHES
+ * @param {Object} settings - See BackgroundEngine.update()
+ * @param {Function} onError - Called with the error event if the worker fails
+ * @returns {?{update: Function}} - null where a worker can't draw
+ */
+function startBackgroundWorker(canvas, name, settings, onError) {
+    if (!canvas.transferControlToOffscreen || typeof Worker === 'undefined' || !BACKGROUND_SCRIPT_URL) {
+        return null;
+    }
+
+    let worker;
+    try {
+        worker = new Worker(new URL('background-worker.js', BACKGROUND_SCRIPT_URL));
+    } catch (error) {
+        // Pages opened from disk can't start workers
+        console.warn('Background worker unavailable, drawing on the main thread:', error.message);
+        return null;
+    }
+
+    worker.addEventListener('error', (e) => {
+        e.preventDefault();
+        worker.terminate();
+        onError(e);
+    });
+
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'start', canvas: offscreen, mesh: name, settings: settings }, [offscreen]);
+
+    return {
+        update: (newSettings) => worker.postMessage({ type: 'update', settings: newSettings })
+    };
+}
+
+const PAUSE_STORAGE_KEY = 'backgroundAnimationPaused';
 
-        requestAnimationFrame(() => this.animate());
+/**
+ * The visitor's pause choice from an earlier page
+ * @returns {?boolean} - null if they haven't made one
+ */
+function loadPausePreference() {
+    try {
+        const saved = localStorage.getItem(PAUSE_STORAGE_KEY);
+        return saved === null ? null : saved === 'true';
+    } catch (error) {
+        // Storage is blocked; every page starts from the default
+        return null;
     }
 }
 
-// Initialize background when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new TriangularMeshBackground();
-});
+/**
+ * Remember the visitor's pause choice for the next page
+ * @param {boolean} paused
+ */
+function savePausePreference(paused) {
+    try {
+        localStorage.setItem(PAUSE_STORAGE_KEY, String(paused));
+    } catch (error) {
+        console.warn('Could not save the animation preference:', error.message);
+    }
+}
+
+/**
+ * Start the background on a canvas and keep it up to date with the page.
+ * Canvases with data-worker draw from a worker where the browser can.
+ *
+ * The mesh holds still when the visitor paused it (on this page or an
+ * earlier one), asked for reduced motion without choosing otherwise, or
+ * is on a phone.
+ * @param {HTMLCanvasElement} canvas
+ */
+function startBackground(canvas) {
+    let name = canvas.dataset.mesh || DEFAULT_BACKGROUND_MESH;
+    if (!BACKGROUND_MESHES[name]) {
+        console.warn(`Unknown background mesh "${name}", using ${DEFAULT_BACKGROUND_MESH}`);
+        name = DEFAULT_BACKGROUND_MESH;
+    }
+    if (!BACKGROUND_MESHES[name]) {
+        console.warn('No background meshes registered');
+        return;
+    }
+
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const phone = window.matchMedia('(max-width: 768px)');
+    const savedPause = loadPausePreference();
+    let isPaused = savedPause !== null ? savedPause : reducedMotion.matches;
+    let menuWidth = 0;
+    const getSettings = () => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        visible: !document.hidden,
+        paused: isPaused || phone.matches,
+        reducedMotion: reducedMotion.matches,
+        menuWidth: menuWidth
+    });
+
+    let background = null;
+    if ('worker' in canvas.dataset) {
+        background = startBackgroundWorker(canvas, name, getSettings(), (e) => {
+            console.error('Background worker failed, drawing on the main thread:', e.message);
+            // A canvas handed to a worker can't be drawn on here again
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            background = new BackgroundEngine(fresh, BACKGROUND_MESHES[name], getSettings());
+        });
+    }
+    if (!background) {
+        background = new BackgroundEngine(canvas, BACKGROUND_MESHES[name], getSettings());
+    }
+
+    const update = () => background.update(getSettings());
+
+    window.addEventListener('resize', update);
+    document.addEventListener('visibilitychange', update);
+
+    window.addEventListener('menuStateChange', (e) => {
+        menuWidth = e.detail.isOpen ? e.detail.menuWidth : 0;
+        update();
+    });
+
+    const toggleBtn = document.getElementById('animationToggle');
+    const showPauseState = () => {
+        if (!toggleBtn) return;
+        toggleBtn.classList.toggle('paused', isPaused);
+        toggleBtn.setAttribute('aria-pressed', String(isPaused));
+    };
+    showPauseState();
+
+    if (toggleBtn) {
+        toggleBtn.addEventListener('click', () => {
+            isPaused = !isPaused;
+            savePausePreference(isPaused);
+            showPauseState();
+            update();
+        });
+    }
+
+    // Follow the system setting until the visitor makes their own choice
+    if (reducedMotion.addEventListener) {
+        reducedMotion.addEventListener('change', () => {
+            if (loadPausePreference() === null) {
+                isPaused = reducedMotion.matches;
+                showPauseState();
+            }
+            update();
+        });
+    }
+}
+
+// Start the background when DOM is ready; the mesh scripts have registered by then.
+// In the worker there's no page, only messages.
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const canvas = document.getElementById('backgroundCanvas');
+        if (!canvas) {
+            console.warn('Background canvas element not found');
+            return;
+        }
+
+        startBackground(canvas);
+    });
+}
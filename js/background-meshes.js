@@ -0,0 +1,414 @@
+'use strict';
+
+/**
+ * Background Meshes for Praxis San Diego
+ * The built-in mesh styles for the background engine
+ * (js/background-animation.js), chosen with data-mesh on #backgroundCanvas:
+ *
+ *   triangular   Irregular triangular grid of nearby nodes
+ *   small-world  The triangular grid plus long-range shortcuts that
+ *                stochastically swap over time
+ *   honeycomb    Hexagonal cells
+ */
+
+/**
+ * Whether a node is drawn this frame
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isNodeShown(node) {
+    return node.opacity > 0;
+}
+
+/**
+ * TriangularMesh
+ * Connects every pair of nodes that are close at the moment
+ */
+class TriangularMesh {
+    constructor() {
+        this.spacing = 60; // Base distance between nodes
+        this.grid = new SpatialGrid(this.spacing * 1.5);
+        this.batch = new EdgeBatch();
+    }
+
+    createNodes(width, height) {
+        return createLatticeNodes(width, height, this.spacing);
+    }
+
+    drawEdges(ctx, nodes) {
+        addLocalEdges(this.batch, this.grid.update(nodes, isNodeShown), this.spacing * 1.5);
+        this.batch.stroke(ctx);
+    }
+}
+
+/**
+ * SmallWorldMesh
+ * Local edges: drawn dynamically based on spatial distance
+ * Shortcut edges: long-range connections within one side of the content
+ * that stochastically swap over time
+ *
+ * Uses Poisson distribution to determine how many shortcuts swap each check period.
+ * Most checks result in 0 swaps, occasionally 1-2, rarely more.
+ *
+ * Long-distance shortcuts (spanning large vertical distances) are limited to 1-2 per side
+ * for better aesthetics.
+ */
+class SmallWorldMesh {
+    constructor() {
+        this.spacing = 60;
+        this.nodes = [];
+        this.shortcuts = []; // Active shortcut edges
+        this.frameCount = 0;
+
+        // Small-world parameters
+        this.shortcutDensity = 0.08;
+        this.minShortcutDistance = 3; // Minimum distance for any shortcut (in spacing units)
+
+        // Distance categorization thresholds (in spacing units)
+        this.longDistanceThreshold = 6; // Shortcuts >= this are "long"
+        this.maxLongShortcutsPerSide = 2; // Maximum long shortcuts per side
+        this.minLongShortcutsPerSide = 1; // Minimum long shortcuts per side
+
+        // Stochastic rewiring parameters
+        this.rewireCheckInterval = 60; // Check every N frames (~1 second at 60fps)
+        this.poissonLambda = 0.3; // Average swaps per check (low = mostly 0s)
+        this.shortcutFadeDuration = 45; // Frames to fade in/out
+
+        // Kept across frames
+        this.grid = new SpatialGrid(this.spacing * 1.5);
+        this.batch = new EdgeBatch();
+        this.connectedNodes = new Set();
+    }
+
+    createNodes(width, height) {
+        return createLatticeNodes(width, height, this.spacing);
+    }
+
+    setup(nodes) {
+        this.nodes = nodes;
+        this.buildInitialShortcuts();
+    }
+
+    step() {
+        this.frameCount++;
+
+        // Check for stochastic shortcut swapping
+        if (this.frameCount % this.rewireCheckInterval === 0) {
+            this.checkAndSwapShortcuts();
+        }
+
+        this.updateShortcutFades();
+    }
+
+    /**
+     * Generate a Poisson-distributed random number
+     * Uses Knuth's algorithm - perfect for small lambda values
+     */
+    poissonRandom(lambda) {
+        const L = Math.exp(-lambda);
+        let k = 0;
+        let p = 1;
+
+        do {
+            k++;
+            p *= Math.random();
+        } while (p > L);
+
+        return k - 1;
+    }
+
+    getBaseDistance(node1, node2) {
+        return Math.hypot(node2.baseX - node1.baseX, node2.baseY - node1.baseY);
+    }
+
+    /**
+     * Count active long shortcuts for a given side
+     */
+    countLongShortcutsForSide(side) {
+        return this.shortcuts.filter(s => s.side === side && !s.fadingOut && s.isLong).length;
+    }
+
+    /**
+     * Get the key for a node pair (order-independent)
+     */
+    getEdgeKey(id1, id2) {
+        return id1 < id2 ? `${id1}-${id2}` : `${id2}-${id1}`;
+    }
+
+    /**
+     * Build the initial set of shortcuts
+     */
+    buildInitialShortcuts() {
+        this.createShortcutsForSide(this.nodes.filter(n => n.side === 'left'), 'left');
+        this.createShortcutsForSide(this.nodes.filter(n => n.side === 'right'), 'right');
+    }
+
+    createShortcutsForSide(sideNodes, side) {
+        if (sideNodes.length < 2) return;
+
+        const numShortcuts = Math.max(1, Math.floor(sideNodes.length * this.shortcutDensity));
+        const existingKeys = new Set(this.shortcuts.map(s => this.getEdgeKey(s.sourceId, s.targetId)));
+        const minDist = this.spacing * this.minShortcutDistance;
+        const longDist = this.spacing * this.longDistanceThreshold;
+
+        let attempts = 0;
+        let created = 0;
+        let longCreated = 0;
+
+        // First, ensure we have the minimum number of long shortcuts
+        while (longCreated < this.minLongShortcutsPerSide && attempts < 100) {
+            attempts++;
+
+            const source = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            const target = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            if (source === target) continue;
+
+            const dist = this.getBaseDistance(source, target);
+            if (dist < longDist) continue; // Must be long
+
+            const key = this.getEdgeKey(source.id, target.id);
+            if (existingKeys.has(key)) continue;
+
+            existingKeys.add(key);
+            this.shortcuts.push(this.makeShortcut(source, target, side, dist, 1));
+            created++;
+            longCreated++;
+        }
+
+        // Now create the rest, preferring medium distance
+        attempts = 0;
+        while (created < numShortcuts && attempts < numShortcuts * 10) {
+            attempts++;
+
+            const source = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            const target = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            if (source === target) continue;
+
+            const dist = this.getBaseDistance(source, target);
+            if (dist < minDist) continue;
+
+            // Skip if this would exceed max long shortcuts
+            const isLong = dist >= longDist;
+            if (isLong && longCreated >= this.maxLongShortcutsPerSide) continue;
+
+            const key = this.getEdgeKey(source.id, target.id);
+            if (existingKeys.has(key)) continue;
+
+            existingKeys.add(key);
+            this.shortcuts.push(this.makeShortcut(source, target, side, dist, 1));
+            created++;
+            if (isLong) longCreated++;
+        }
+    }
+
+    /**
+     * @param {Object} source - Node
+     * @param {Object} target - Node
+     * @param {string} side - 'left' or 'right'
+     * @param {number} dist - Base distance between the nodes
+     * @param {number} opacity - 1 to start shown, 0 to fade in
+     * @returns {Object}
+     */
+    makeShortcut(source, target, side, dist, opacity) {
+        return {
+            sourceId: source.id,
+            targetId: target.id,
+            side: side,
+            opacity: opacity,
+            fadingOut: false,
+            fadingIn: opacity < 1,
+            isLong: dist >= this.spacing * this.longDistanceThreshold,
+            distance: dist
+        };
+    }
+
+    /**
+     * Create a single new shortcut for a given side, respecting long-distance limits
+     * @param {string} side - 'left' or 'right'
+     * @param {boolean|null} preferLong - true to prefer long, false to prefer medium, null for either
+     */
+    createSingleShortcut(side, preferLong = null) {
+        const sideNodes = this.nodes.filter(n => n.side === side);
+        if (sideNodes.length < 2) return null;
+
+        const existingKeys = new Set(this.shortcuts.map(s => this.getEdgeKey(s.sourceId, s.targetId)));
+        const minDist = this.spacing * this.minShortcutDistance;
+        const longDist = this.spacing * this.longDistanceThreshold;
+
+        const currentLongCount = this.countLongShortcutsForSide(side);
+        const canAddLong = currentLongCount < this.maxLongShortcutsPerSide;
+        const needsLong = currentLongCount < this.minLongShortcutsPerSide;
+
+        const maxAttempts = 50;
+        for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+            const source = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            const target = sideNodes[Math.floor(Math.random() * sideNodes.length)];
+            if (source === target) continue;
+
+            const dist = this.getBaseDistance(source, target);
+            if (dist < minDist) continue;
+
+            const isLong = dist >= longDist;
+
+            // Enforce long-distance constraints
+            if (isLong && !canAddLong) continue; // Can't add more long ones
+            if (needsLong && !isLong) continue; // Need a long one, skip medium
+
+            // If we have a preference, try to match it (but don't fail if we can't)
+            if (preferLong === true && !isLong && attempts < maxAttempts / 2) continue;
+            if (preferLong === false && isLong && attempts < maxAttempts / 2) continue;
+
+            if (existingKeys.has(this.getEdgeKey(source.id, target.id))) continue;
+
+            return this.makeShortcut(source, target, side, dist, 0);
+        }
+
+        return null;
+    }
+
+    /**
+     * Perform stochastic shortcut swapping
+     * Called every rewireCheckInterval frames
+     */
+    checkAndSwapShortcuts() {
+        const numSwaps = this.poissonRandom(this.poissonLambda);
+        if (numSwaps === 0) return;
+
+        // Get active shortcuts (not currently fading out)
+        const activeShortcuts = this.shortcuts.filter(s => !s.fadingOut);
+
+        // Randomly select shortcuts to swap out, but protect minimum long shortcuts
+        const selectSwappable = (shortcuts) => {
+            const longOnes = shortcuts.filter(s => s.isLong);
+            const mediumOnes = shortcuts.filter(s => !s.isLong);
+
+            // If we only have the minimum long shortcuts, prefer swapping medium ones
+            if (longOnes.length <= this.minLongShortcutsPerSide && mediumOnes.length > 0) {
+                return mediumOnes;
+            }
+            return shortcuts;
+        };
+
+        const allSwappable = [
+            ...selectSwappable(activeShortcuts.filter(s => s.side === 'left')),
+            ...selectSwappable(activeShortcuts.filter(s => s.side === 'right'))
+        ];
+        if (allSwappable.length === 0) return;
+
+        const shuffled = [...allSwappable].sort(() => Math.random() - 0.5);
+        const toRemove = shuffled.slice(0, Math.min(numSwaps, allSwappable.length));
+
+        // Mark selected shortcuts to fade out and create replacements
+        for (const shortcut of toRemove) {
+            shortcut.fadingOut = true;
+
+            // Try to replace with same type (long/medium), but allow flexibility
+            const newShortcut = this.createSingleShortcut(shortcut.side, shortcut.isLong);
+            if (newShortcut) {
+                this.shortcuts.push(newShortcut);
+            }
+        }
+    }
+
+    /**
+     * Update fade transitions for shortcuts
+     */
+    updateShortcutFades() {
+        const fadeStep = 1 / this.shortcutFadeDuration;
+
+        for (let i = this.shortcuts.length - 1; i >= 0; i--) {
+            const shortcut = this.shortcuts[i];
+
+            if (shortcut.fadingOut) {
+                shortcut.opacity -= fadeStep;
+                if (shortcut.opacity <= 0) {
+                    // Remove fully faded out shortcut
+                    this.shortcuts.splice(i, 1);
+                }
+            } else if (shortcut.fadingIn) {
+                shortcut.opacity += fadeStep;
+                if (shortcut.opacity >= 1) {
+                    shortcut.opacity = 1;
+                    shortcut.fadingIn = false;
+                }
+            }
+        }
+    }
+
+    drawEdges(ctx, nodes) {
+        const grid = this.grid.update(nodes, isNodeShown);
+        const batch = this.batch;
+        const connectedNodes = this.connectedNodes;
+        connectedNodes.clear();
+        addLocalEdges(batch, grid, this.spacing * 1.5, connectedNodes);
+
+        // Shortcuts show only while both ends do
+        for (const shortcut of this.shortcuts) {
+            const source = nodes[shortcut.sourceId];
+            const target = nodes[shortcut.targetId];
+            if (source.opacity === 0 || target.opacity === 0) continue;
+
+            const edgeOpacity = Math.min(source.opacity, target.opacity) * 0.2 * shortcut.opacity;
+            batch.add(source, target, edgeOpacity);
+
+            if (edgeOpacity > 0.05) {
+                connectedNodes.add(shortcut.sourceId);
+                connectedNodes.add(shortcut.targetId);
+            }
+        }
+
+        // Ensure every clearly drawn node has at least one connection
+        for (const node of grid.nodes) {
+            if (connectedNodes.has(node.id) || node.opacity <= 0.3) continue;
+
+            const nearest = grid.nearest(node);
+            if (nearest) {
+                batch.add(node, nearest, Math.min(node.opacity, nearest.opacity) * 0.2);
+            }
+        }
+
+        batch.stroke(ctx);
+    }
+}
+
+/**
+ * HoneycombMesh
+ * A triangular lattice with every third node left out is a honeycomb;
+ * edges join the remaining neighbours and stay fixed as the nodes wobble
+ */
+class HoneycombMesh {
+    constructor() {
+        this.spacing = 48; // Side of a cell
+        this.edges = []; // [id, id] pairs
+        this.batch = new EdgeBatch();
+    }
+
+    createNodes(width, height) {
+        return createLatticeNodes(width, height, this.spacing, 0.15).filter(node => {
+            // Position along the lattice's slanted axis
+            const q = node.col + (node.row % 2) / 2 - node.row / 2;
+            return ((q - node.row) % 3 + 3) % 3 !== 0;
+        });
+    }
+
+    setup(nodes) {
+        // Lattice neighbours are a cell side apart, the next nearest about 1.7 sides;
+        // the nodes haven't moved from their base positions yet
+        const threshold = this.spacing * 1.3;
+        this.edges = [];
+        new SpatialGrid(threshold).update(nodes).forEachClosePair(threshold, (a, b) => {
+            this.edges.push([a.id, b.id]);
+        });
+    }
+
+    drawEdges(ctx, nodes) {
+        this.edges.forEach(([i, j]) => {
+            this.batch.add(nodes[i], nodes[j], Math.min(nodes[i].opacity, nodes[j].opacity) * 0.2);
+        });
+        this.batch.stroke(ctx);
+    }
+}
+
+registerBackgroundMesh('triangular', TriangularMesh);
+registerBackgroundMesh('small-world', SmallWorldMesh);
+registerBackgroundMesh('honeycomb', HoneycombMesh);
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Background Animation Worker for Praxis San Diego
+ * Runs the background engine (js/background-animation.js) off the main
+ * thread, on the canvas the page hands over with transferControlToOffscreen(),
+ * so node motion, rewiring and drawing don't compete with table sorting and
+ * embedded forms. The page sends:
+ *   {type: 'start', canvas, mesh, settings}  Once, with the OffscreenCanvas
+ *   {type: 'update', settings}               When the window, visibility,
+ *                                            pause button or menu change
+ */
+
+importScripts('background-animation.js', 'background-meshes.js');
+
+let engine = null;
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    if (message.type === 'start') {
+        engine = new BackgroundEngine(message.canvas, BACKGROUND_MESHES[message.mesh], message.settings);
+    } else if (message.type === 'update' && engine) {
+        engine.update(message.settings);
+    }
+});
@@ -5,23 +5,21 @@
  * Handles loading class data and populating page elements
  */
 
-// Current term - classes from this term link to university.html
-// Archived terms link to archive.html
-const CURRENT_TERM = 'Summer 2026';
-
 /**
  * Load class data from JSON and populate page elements
  * @param {string} className - The name of the class to find
  * @param {string} term - The term name (e.g., "Fall 2025")
- * @param {string} jsonPath - Path to the JSON data file
  */
-async function loadAndPopulateClassPage(className, term, jsonPath) {
+async function loadAndPopulateClassPage(className, term) {
     try {
-        const response = await fetch(jsonPath);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const registry = await loadTermRegistry();
+        const termEntry = registry.all.find(t => t.name === term);
+        if (!termEntry) {
+            throw new Error(`Term "${term}" is not in the term registry`);
         }
-        const allClasses = await response.json();
+
+        // Loaded as the class tables load it, so venues fill in where
+        const allClasses = await loadTermClasses(termEntry);
 
         // Find the specific class
         const classData = allClasses.find(c => c.name === className);
@@ -31,12 +29,12 @@ async function loadAndPopulateClassPage(className, term, jsonPath) {
             const backLink = document.getElementById('backLink');
             if (backLink) {
                 // Archived terms link to archive, current term links to university
-                if (term === CURRENT_TERM) {
+                if (term === registry.current.name) {
                     backLink.textContent = "← to " + term + " Classes";
                     backLink.href = "/university/index.html#" + classData.id;
                 } else {
                     backLink.textContent = "← to Class Archive";
-                    backLink.href = "/university/classes/archive.html#" + classData.id;
+                    backLink.href = "/university/classes/archive.html#" + termRowId(termEntry, classData.id);
                 }
             }
 
@@ -57,6 +55,17 @@ async function loadAndPopulateClassPage(className, term, jsonPath) {
                 whereElement.innerHTML = classData.where.replace(/<br>/g, '<br>');
             }
 
+            // Registration status depends on the day the page is viewed
+            const registrationBadge = document.getElementById('registrationStatus');
+            if (registrationBadge) {
+                showRegistrationStatus(registrationBadge, classData);
+            }
+
+            // Offer the schedule as a calendar file once it has dates
+            if (hasCalendarEvents(classData)) {
+                addCalendarAction(classData, termEntry);
+            }
+
         } else {
             console.error('Class not found in JSON:', className);
             const classNameElement = document.getElementById('className');
@@ -69,6 +78,35 @@ async function loadAndPopulateClassPage(className, term, jsonPath) {
     }
 }
 
+/**
+ * Add an "Add to calendar" item below the schedule in the class info box
+ * @param {Object} classData - Normalized class record
+ * @param {Object} term - Term entry from the registry ({id, name})
+ */
+function addCalendarAction(classData, term) {
+    const whenElement = document.getElementById('when');
+    const scheduleItem = whenElement ? whenElement.closest('.info-item') : null;
+    if (!scheduleItem || document.getElementById('calendarLink')) return;
+
+    const calendarItem = document.createElement('div');
+    calendarItem.className = 'info-item';
+    calendarItem.innerHTML = `
+        <span class="info-label">Calendar:</span>
+        <span class="info-value"><a href="#" id="calendarLink">Add to calendar (.ics)</a></span>
+    `;
+    scheduleItem.after(calendarItem);
+
+    document.getElementById('calendarLink').addEventListener('click', function(e) {
+        e.preventDefault();
+        const icsText = buildCalendar([{
+            record: classData,
+            uidPrefix: term.id,
+            url: new URL(resolveClassLink(classData.link), window.location.origin).href
+        }], `${htmlToPlainText(classData.name)} (${term.name})`);
+        downloadCalendar(`${classData.id}.ics`, icsText);
+    });
+}
+
 /**
  * Handle iframe loading message
  */
@@ -0,0 +1,625 @@
+'use strict';
+
+/**
+ * Class Table Component for Praxis San Diego
+ * One sortable, searchable table of class records. Each table declares its
+ * columns (renderer + comparator) and keeps its own records and state, so
+ * several tables can live on one page.
+ * Search and facets are optional and need js/search.js and js/facets.js.
+ * Rows already in the HTML (see scripts/prerender-tables.js) are reused
+ * rather than rebuilt, so the table works before and without JavaScript.
+ */
+
+// The browser loads js/terms.js before this file; Node (scripts/prerender-tables.js) requires it
+const classLinkHelpers = typeof module !== 'undefined' ? require('./terms') : globalThis;
+
+/**
+ * Compare two strings of HTML by their text
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareText(a, b) {
+    const textA = String(a || '').replace(/<[^>]*>/g, '').trim().toLowerCase();
+    const textB = String(b || '').replace(/<[^>]*>/g, '').trim().toLowerCase();
+    return textA.localeCompare(textB);
+}
+
+/**
+ * Compare ISO dates, with missing dates last
+ * @param {?string} a
+ * @param {?string} b
+ * @returns {number}
+ */
+function compareDates(a, b) {
+    if (a === b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return a.localeCompare(b);
+}
+
+/**
+ * Length of a duration such as "6 weeks" or "1 day" in days
+ * @param {string} duration
+ * @returns {number}
+ */
+function durationInDays(duration) {
+    const match = /^(\d+) (week|day)/.exec(duration || '');
+    if (!match) return Infinity;
+    return parseInt(match[1], 10) * (match[2] === 'week' ? 7 : 1);
+}
+
+/**
+ * Instructor names linked to their pages, or the record's credit line when
+ * the instructor directory isn't available
+ * @param {Object} record - Class record
+ * @returns {string}
+ */
+function renderInstructors(record) {
+    if (!record.instructorLinks) return record.instructor;
+    return record.instructorLinks.map(link => `<a href="${link.href}">${link.name}</a>`).join(' & ');
+}
+
+/**
+ * Empty registration badge for classes that take registrations. ClassTable
+ * fills it in for the day the page is viewed (see showRegistrationStatus in
+ * js/schedule.js), so prerendered rows don't go stale.
+ * @param {Object} record - Class record
+ * @returns {string}
+ */
+function renderRegistrationBadge(record) {
+    if (!record.registration && !record.registrationDeadline) return '';
+    return ' <span class="registration-badge" hidden></span>';
+}
+
+/**
+ * Columns tables can be built from. `key` also names the column in ?sort=;
+ * `label` is read out when the column is sorted; `render` returns the cell's
+ * HTML; `compare` orders records ascending.
+ */
+const CLASS_TABLE_COLUMNS = {
+    classInfo: {
+        key: 'name',
+        label: 'Class',
+        render: record => `
+            <div class="class-name"><a href="${classLinkHelpers.resolveClassLink(record.link)}">${record.name}</a>${renderRegistrationBadge(record)}</div>
+            <div class="class-description">${record.description}</div>
+        `,
+        compare: (a, b) => compareText(a.name, b.name)
+    },
+    name: {
+        key: 'name',
+        label: 'Class',
+        render: record => `<a href="${classLinkHelpers.resolveClassLink(record.link)}">${record.name}</a>${renderRegistrationBadge(record)}`,
+        compare: (a, b) => compareText(a.name, b.name)
+    },
+    instructor: {
+        key: 'instructor',
+        label: 'Instructor',
+        render: renderInstructors,
+        compare: (a, b) => compareText(a.instructor, b.instructor)
+    },
+    schedule: {
+        key: 'schedule',
+        label: 'Days, times and dates',
+        render: record => record.when,
+        // Weekday, then time of day, then first date
+        compare: (a, b) => a.scheduleSortKey.localeCompare(b.scheduleSortKey)
+    },
+    location: {
+        key: 'location',
+        label: 'Location',
+        render: record => record.where || '',
+        compare: (a, b) => compareText(a.where, b.where)
+    },
+    term: {
+        key: 'term',
+        label: 'Term',
+        render: record => record.term,
+        // Oldest term first; within a term, by start date
+        compare: (a, b) => compareDates(a.termStart, b.termStart) || compareDates(a.firstDate, b.firstDate)
+    },
+    start: {
+        key: 'start',
+        label: 'Start date',
+        render: record => record.start,
+        compare: (a, b) => compareDates(a.firstDate, b.firstDate)
+    },
+    duration: {
+        key: 'duration',
+        label: 'Duration',
+        render: record => record.duration,
+        compare: (a, b) => durationInDays(a.duration) - durationInDays(b.duration)
+    },
+    learnMore: {
+        key: 'link',
+        label: 'Link',
+        render: record => `<a href="${classLinkHelpers.resolveClassLink(record.link)}">Learn more</a>`,
+        compare: (a, b) => compareText(a.name, b.name)
+    }
+};
+
+/**
+ * Id of a record's row: term-qualified in tables of several terms (see
+ * addTermInfo in js/terms.js), otherwise the record's own id
+ * @param {Object} record
+ * @returns {string}
+ */
+function classRowId(record) {
+    return record.rowId || record.id;
+}
+
+/**
+ * Render one table row as HTML
+ * @param {Object} record - Normalized class record
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {string}
+ */
+function renderClassRow(record, columns) {
+    const cells = columns.map(column => `<td>${column.render(record)}</td>`).join('');
+    return `<tr id="${classRowId(record)}">${cells}</tr>`;
+}
+
+/**
+ * Move the later runs of each course (records sharing a series) up to just
+ * after its first run, keeping everything else in order
+ * @param {Array<Object>} records
+ * @returns {Array<Object>} - A reordered copy
+ */
+function groupBySeries(records) {
+    const runs = new Map();
+    records.forEach(record => {
+        if (!record.series) return;
+        if (!runs.has(record.series)) runs.set(record.series, []);
+        runs.get(record.series).push(record);
+    });
+
+    const placed = new Set();
+    return records.flatMap(record => {
+        if (!record.series) return [record];
+        if (placed.has(record.series)) return [];
+        placed.add(record.series);
+        return runs.get(record.series);
+    });
+}
+
+/**
+ * Order records the way a table first shows them
+ * @param {Array<Object>} records
+ * @param {Function} [defaultOrder] - Comparator, as in the ClassTable options
+ * @param {boolean} [groupSeries] - As in the ClassTable options
+ * @returns {Array<Object>} - A sorted copy
+ */
+function initialClassOrder(records, defaultOrder, groupSeries) {
+    const ordered = defaultOrder ? [...records].sort(defaultOrder) : [...records];
+    return groupSeries ? groupBySeries(ordered) : ordered;
+}
+
+class ClassTable {
+    /**
+     * @param {string} tableId - ID of the <table>; header cells line up with columns
+     * @param {Object} options
+     * @param {Array<Object>} options.columns - Entries of CLASS_TABLE_COLUMNS (or the same shape)
+     * @param {Array<Object>} options.records - Normalized class records
+     * @param {Function} [options.defaultOrder] - Comparator used when no column is sorted
+     * @param {string} [options.searchInputId] - Search box to connect (needs search.js)
+     * @param {boolean} [options.facets] - Add a FacetPanel (needs facets.js)
+     * @param {string} [options.visibleCountId] - Element showing the number of rows shown
+     * @param {string} [options.totalCountId] - Element showing the number of records
+     * @param {boolean} [options.syncUrl] - Mirror search, sort and filters into the query string
+     * @param {boolean} [options.groupSeries] - Fold later runs of a course under its first row
+     */
+    constructor(tableId, options) {
+        this.tableId = tableId;
+        this.columns = options.columns;
+        this.records = options.records;
+        this.defaultOrder = options.defaultOrder || null;
+        this.options = options;
+
+        this.shown = [];
+        this.highlights = [];
+        this.sort = null; // {index, ascending}
+        this.facets = null;
+        this.isReady = false; // No announcements until the first render is done
+        this.pendingMessage = '';
+        this.rows = new Map(); // record -> <tr>, kept across redraws
+        this.hasHighlights = false;
+        this.expandedSeries = new Set();
+        this.seriesToggles = new Map(); // series -> <button>
+        // A link to a folded run opens its course
+        this.anchorId = decodeURIComponent(window.location.hash.substring(1));
+
+        this.table = document.getElementById(tableId);
+        if (!this.table) {
+            console.warn(`Table with ID "${tableId}" not found`);
+            return;
+        }
+        this.tbody = this.table.querySelector('tbody');
+        this.headers = Array.from(this.table.querySelectorAll('thead th'));
+        this.adoptRows();
+        this.searchInput = options.searchInputId ? document.getElementById(options.searchInputId) : null;
+
+        // Screen reader announcements for sorting and result counts
+        this.status = document.createElement('div');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('role', 'status');
+        (this.table.closest('.table-wrapper') || this.table).after(this.status);
+
+        const totalCount = options.totalCountId ? document.getElementById(options.totalCountId) : null;
+        if (totalCount) {
+            totalCount.textContent = this.records.length;
+        }
+
+        if (options.facets) {
+            this.facets = new FacetPanel(tableId, this.records, () => this.refresh());
+        }
+
+        this.attachEventListeners();
+        this.refresh();
+
+        if (options.syncUrl) {
+            this.restoreFromUrl();
+        }
+
+        // Every change to the shown rows (including the mobile filter) ends here
+        window.addEventListener('tableDataChange', (e) => {
+            if (e.detail.tableId !== this.tableId) return;
+            if (options.syncUrl) this.syncToUrl();
+            if (this.isReady) this.announce();
+        });
+        this.isReady = true;
+    }
+
+    /**
+     * Take over prerendered rows if they show exactly the records this table
+     * would show first; otherwise they are replaced on the first render
+     */
+    adoptRows() {
+        const rows = Array.from(this.tbody.rows);
+        const expected = initialClassOrder(this.records, this.defaultOrder, this.options.groupSeries);
+        const matches = rows.length === expected.length && rows.every((row, index) =>
+            row.id === classRowId(expected[index]) && row.cells.length === this.columns.length);
+
+        if (matches) {
+            rows.forEach((row, index) => this.rows.set(expected[index], row));
+        }
+    }
+
+    /**
+     * Get a record's row, building it the first time it is needed
+     * @param {Object} record
+     * @returns {HTMLTableRowElement}
+     */
+    getRow(record) {
+        let row = this.rows.get(record);
+        if (!row) {
+            const template = document.createElement('tbody');
+            template.innerHTML = renderClassRow(record, this.columns);
+            row = template.rows[0];
+            this.rows.set(record, row);
+        }
+        return row;
+    }
+
+    attachEventListeners() {
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => this.refresh());
+        }
+
+        this.headers.forEach((header, index) => {
+            // Headers are the sort controls, so they take keyboard focus too
+            header.tabIndex = 0;
+            header.setAttribute('scope', 'col');
+
+            header.addEventListener('click', () => this.cycleSort(index));
+            header.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.cycleSort(index);
+                }
+            });
+        });
+    }
+
+    /**
+     * Advance a column through none -> asc -> desc -> none and redraw
+     * @param {number} index - Column index
+     */
+    cycleSort(index) {
+        const column = this.columns[index];
+        if (!this.sort || this.sort.index !== index) {
+            this.setSort(index, true);
+            this.pendingMessage = `Sorted by ${column.label}, ascending.`;
+        } else if (this.sort.ascending) {
+            this.setSort(index, false);
+            this.pendingMessage = `Sorted by ${column.label}, descending.`;
+        } else {
+            this.setSort(null);
+            this.pendingMessage = 'Sorting removed.';
+        }
+        this.refresh();
+    }
+
+    /**
+     * Read out the latest sort change and how many rows are shown. Waits for
+     * a pause so typing in the search box doesn't queue up announcements.
+     */
+    announce() {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            const count = this.getShownRecords().length;
+            const noun = this.records.length === 1 ? 'class' : 'classes';
+            const message = `${this.pendingMessage} ${count} of ${this.records.length} ${noun} shown.`.trim();
+            this.pendingMessage = '';
+            this.status.textContent = message;
+        }, 500);
+    }
+
+    /**
+     * Set the sorted column without redrawing
+     * @param {?number} index - Column index, or null for the default order
+     * @param {boolean} [ascending]
+     */
+    setSort(index, ascending) {
+        this.sort = index === null ? null : { index: index, ascending: ascending };
+        this.headers.forEach((header, i) => {
+            header.classList.remove('sort-asc', 'sort-desc');
+            if (this.sort && i === this.sort.index) {
+                header.classList.add(this.sort.ascending ? 'sort-asc' : 'sort-desc');
+                header.setAttribute('aria-sort', this.sort.ascending ? 'ascending' : 'descending');
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+        });
+    }
+
+    /**
+     * Apply search, facets and sorting, then redraw
+     */
+    refresh() {
+        const query = this.searchInput ? this.searchInput.value : '';
+        let records = this.records;
+        this.highlights = [];
+
+        if (query.trim()) {
+            const results = searchClasses(records, query);
+            records = results.records;
+            this.highlights = results.highlights;
+        }
+
+        // Facet counts reflect the search, then the ticked facets narrow it further
+        if (this.facets) {
+            this.facets.updateCounts(records);
+            records = this.facets.filter(records);
+        }
+
+        records = [...records];
+        if (this.sort) {
+            const compare = this.columns[this.sort.index].compare;
+            const direction = this.sort.ascending ? 1 : -1;
+            records.sort((a, b) => direction * compare(a, b));
+        } else if (this.defaultOrder && !query.trim()) {
+            // Search results keep their ranking
+            records.sort(this.defaultOrder);
+        }
+
+        this.shown = this.options.groupSeries ? groupBySeries(records) : records;
+        this.render();
+    }
+
+    render() {
+        // Only the rows shown last time can have highlights
+        if (this.hasHighlights) {
+            clearHighlights(this.tbody);
+        }
+        // Added back after highlighting, so their text is never marked
+        this.seriesToggles.forEach(button => button.remove());
+
+        const today = todayInSanDiego();
+        const rows = this.shown.map(record => {
+            const row = this.getRow(record);
+            // The class filter is rebuilt below, so every row starts out visible
+            row.style.display = '';
+            row.querySelectorAll('.registration-badge').forEach(badge => showRegistrationStatus(badge, record, today));
+            return row;
+        });
+        this.tbody.replaceChildren(...rows);
+
+        this.hasHighlights = this.highlights.length > 0;
+        if (this.hasHighlights) {
+            highlightMatches(this.tbody, this.highlights);
+        }
+
+        if (this.options.groupSeries) {
+            this.foldSeries();
+        }
+
+        this.updateVisibleCount();
+
+        // Create/update mobile class navigation
+        createMobileClassNav(this.shown, this.tableId, () => this.updateVisibleCount());
+
+        notifyTableDataChange(this.tableId);
+    }
+
+    /**
+     * Show how many records are shown; folded runs count, rows hidden by the
+     * mobile class filter don't
+     */
+    updateVisibleCount() {
+        const visibleCount = this.options.visibleCountId ? document.getElementById(this.options.visibleCountId) : null;
+        if (visibleCount) {
+            visibleCount.textContent = this.getShownRecords().length;
+        }
+    }
+
+    /**
+     * Hide the later runs of each course shown more than once, behind a
+     * button on its first row. Folded rows still count as shown.
+     */
+    foldSeries() {
+        const courses = new Map(); // series -> {first, later}
+        this.shown.forEach(record => {
+            const row = this.getRow(record);
+            row.hidden = false;
+            row.classList.remove('series-repeat');
+
+            if (!record.series) return;
+            const course = courses.get(record.series);
+            if (course) {
+                course.later.push(record);
+            } else {
+                courses.set(record.series, { first: record, later: [] });
+            }
+        });
+
+        courses.forEach((course, series) => {
+            if (course.later.length === 0) return;
+
+            if (this.anchorId && classRowId(course.first) !== this.anchorId &&
+                course.later.some(record => classRowId(record) === this.anchorId)) {
+                this.expandedSeries.add(series);
+                this.anchorId = '';
+            }
+            const expanded = this.expandedSeries.has(series);
+
+            course.later.forEach(record => {
+                const row = this.getRow(record);
+                row.classList.add('series-repeat');
+                row.hidden = !expanded;
+            });
+
+            const count = course.later.length;
+            const terms = course.later.map(record => record.term).filter(Boolean);
+            const button = this.getSeriesToggle(series);
+            button.textContent = `${expanded ? '\u25BE' : '\u25B8'} ${count} other ${count === 1 ? 'run' : 'runs'}` +
+                (terms.length > 0 ? ` (${terms.join(', ')})` : '');
+            button.setAttribute('aria-expanded', expanded);
+
+            const cell = this.getRow(course.first).cells[0];
+            if (button.parentElement !== cell) {
+                cell.append(button);
+            }
+        });
+    }
+
+    /**
+     * Get the button that folds and unfolds a course's later runs
+     * @param {string} series
+     * @returns {HTMLButtonElement}
+     */
+    getSeriesToggle(series) {
+        let button = this.seriesToggles.get(series);
+        if (!button) {
+            button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'series-toggle';
+            button.addEventListener('click', () => {
+                if (this.expandedSeries.has(series)) {
+                    this.expandedSeries.delete(series);
+                } else {
+                    this.expandedSeries.add(series);
+                }
+                this.foldSeries();
+            });
+            this.seriesToggles.set(series, button);
+        }
+        return button;
+    }
+
+    /**
+     * Get the records currently shown: the search and facet results, minus
+     * any rows hidden by the mobile class filter, in table order
+     * @returns {Array<Object>}
+     */
+    getShownRecords() {
+        const rows = Array.from(this.tbody.rows);
+        return this.shown.filter((record, index) => rows[index] && rows[index].style.display !== 'none');
+    }
+
+    /**
+     * Mirror what the table shows into the query string so it survives reloads
+     * and can be shared, e.g. ?q=poetry&sort=schedule:desc&classes=essay-club,tai-chi
+     * (row ids, so winter2026-essay-club in the archive).
+     * Keeps the #class-id anchor and any other parameters.
+     */
+    syncToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        ['q', 'sort', 'classes'].forEach(name => params.delete(name));
+
+        if (this.searchInput && this.searchInput.value.trim()) {
+            params.set('q', this.searchInput.value.trim());
+        }
+
+        if (this.sort) {
+            params.set('sort', `${this.columns[this.sort.index].key}:${this.sort.ascending ? 'asc' : 'desc'}`);
+        }
+
+        const checkedIds = getCheckedClassIds(this.tableId);
+        if (checkedIds.length > 0) {
+            params.set('classes', checkedIds.join(','));
+        }
+
+        if (this.facets) {
+            this.facets.writeParams(params);
+        }
+
+        // Commas and colons are allowed in a query string, so keep them readable
+        const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        if (url !== window.location.pathname + window.location.search + window.location.hash) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * Apply the search, facets, sort and class filter from the query string.
+     * Pages scroll to a #class-id anchor after this.
+     */
+    restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        let changed = false;
+
+        if (this.searchInput && params.get('q')) {
+            this.searchInput.value = params.get('q');
+            changed = true;
+        }
+
+        if (this.facets && this.facets.readParams(params)) {
+            changed = true;
+        }
+
+        const [sortKey, direction] = (params.get('sort') || '').split(':');
+        const sortIndex = this.columns.findIndex(column => column.key === sortKey);
+        if (sortIndex !== -1) {
+            this.setSort(sortIndex, direction !== 'desc');
+            changed = true;
+        }
+
+        if (changed) {
+            this.refresh();
+        }
+
+        // The class filter only exists on small screens; elsewhere there would be
+        // no way to clear it, so a shared selection just shows every class
+        const classes = (params.get('classes') || '').split(',').filter(Boolean);
+        const navContainer = document.getElementById('mobileClassNav-' + this.tableId);
+        if (classes.length > 0 && navContainer && window.matchMedia('(max-width: 768px)').matches) {
+            const checkboxContainer = navContainer.querySelector('.mobile-filter-checkboxes');
+            checkboxContainer.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+                cb.checked = classes.includes(cb.value);
+            });
+            applyClassFilter(this.tableId, checkboxContainer, navContainer.querySelector('.mobile-filter-toggle'),
+                () => this.updateVisibleCount());
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLASS_TABLE_COLUMNS,
+        classRowId,
+        renderClassRow,
+        initialClassOrder
+    };
+}
@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Email Obfuscation for Praxis San Diego
+ * Keeps email addresses out of the page source so spam bots don't harvest
+ * them. An address is written encoded in a link's data attributes and
+ * turned into a mailto: link when the page loads:
+ *
+ *   <a class="email-link" data-email="AC2I:DD2?5:68@o8&gt;2:=]4@&gt;" data-encoding="rot47"
+ *      data-subject="[Essay Club!]" rel="nofollow, noindex">prax<span>issa</span>...</a>
+ *
+ * Without JavaScript the link has no href and its text, the address broken
+ * up with spans, is still there to read and copy. Links whose text isn't
+ * the address carry a <noscript> copy of it.
+ *
+ * Encodings (every one round-trips any address):
+ *   rot47     Rotates printable ASCII, so "@" and "." are hidden too
+ *   reverse   The address backwards
+ *   charcode  Base-36 code points separated by dots
+ *
+ * scripts/encode-email.js writes links by hand; scripts/build-class-pages.js
+ * writes the class pages' contact links. Tests: node --test test/
+ */
+
+/**
+ * Rotate printable ASCII (! to ~) halfway round; applying it twice gives
+ * the original, and other characters are left alone
+ * @param {string} text
+ * @returns {string}
+ */
+function rot47(text) {
+    return Array.from(text, char => {
+        const code = char.charCodeAt(0);
+        return code >= 33 && code <= 126 ? String.fromCharCode(33 + (code - 33 + 47) % 94) : char;
+    }).join('');
+}
+
+const EMAIL_ENCODINGS = {
+    rot47: {
+        encode: rot47,
+        decode: rot47
+    },
+    reverse: {
+        // Array.from keeps characters outside the BMP in one piece
+        encode: text => Array.from(text).reverse().join(''),
+        decode: text => Array.from(text).reverse().join('')
+    },
+    charcode: {
+        encode: text => Array.from(text, char => char.codePointAt(0).toString(36)).join('.'),
+        // "".split('.') is [""], which isn't a code point
+        decode: text => text ? text.split('.').map(code => String.fromCodePoint(parseInt(code, 36))).join('') : ''
+    }
+};
+
+const DEFAULT_EMAIL_ENCODING = 'rot47';
+
+/**
+ * Look up an encoding by name
+ * @param {string} name
+ * @returns {{encode: Function, decode: Function}}
+ */
+function getEmailEncoding(name) {
+    const encoding = EMAIL_ENCODINGS[name];
+    if (!encoding) {
+        throw new Error(`Unknown email encoding "${name}" (use ${Object.keys(EMAIL_ENCODINGS).join(', ')})`);
+    }
+    return encoding;
+}
+
+/**
+ * Encode an address for a data-email attribute
+ * @param {string} address
+ * @param {string} [encoding] - Key of EMAIL_ENCODINGS
+ * @returns {string}
+ */
+function encodeEmail(address, encoding = DEFAULT_EMAIL_ENCODING) {
+    return getEmailEncoding(encoding).encode(address);
+}
+
+/**
+ * Decode a data-email attribute
+ * @param {string} encoded
+ * @param {string} [encoding] - Key of EMAIL_ENCODINGS
+ * @returns {string}
+ */
+function decodeEmail(encoded, encoding = DEFAULT_EMAIL_ENCODING) {
+    return getEmailEncoding(encoding).decode(encoded);
+}
+
+/**
+ * Build a mailto: URL, with a subject line if given
+ * @param {string} address
+ * @param {string} [subject]
+ * @returns {string}
+ */
+function buildMailto(address, subject) {
+    // Only characters that would end the address part need escaping
+    const to = address.replace(/[%?&#]/g, char => encodeURIComponent(char));
+    return `mailto:${to}${subject ? `?subject=${encodeURIComponent(subject)}` : ''}`;
+}
+
+/**
+ * Escape text for HTML text and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeEmailHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The address as readable HTML that doesn't contain it in one piece
+ * @param {string} address
+ * @returns {string} - e.g. "prax<span>issa</span>ndie<span>go@g</span>..."
+ */
+function breakUpEmail(address) {
+    return (address.match(/[\s\S]{1,4}/g) || [])
+        .map((chunk, i) => i % 2 ? `<span>${escapeEmailHtml(chunk)}</span>` : escapeEmailHtml(chunk))
+        .join('');
+}
+
+/**
+ * Render an obfuscated email link
+ * @param {string} address
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Key of EMAIL_ENCODINGS
+ * @param {string} [options.subject] - Subject line to fill in, e.g. "[Essay Club!]"
+ * @param {string} [options.text] - HTML for the link text; defaults to the broken-up address
+ * @returns {string}
+ */
+function renderEmailLink(address, options = {}) {
+    const encoding = options.encoding || DEFAULT_EMAIL_ENCODING;
+    const attributes = [
+        'class="email-link"',
+        `data-email="${escapeEmailHtml(encodeEmail(address, encoding))}"`,
+        `data-encoding="${encoding}"`
+    ];
+    if (options.subject) {
+        attributes.push(`data-subject="${escapeEmailHtml(options.subject)}"`);
+    }
+    attributes.push('rel="nofollow, noindex"');
+
+    // Readers without JavaScript still need the address
+    const fallback = options.text ? `<noscript> (${breakUpEmail(address)})</noscript>` : '';
+    return `<a ${attributes.join(' ')}>${options.text || breakUpEmail(address)}</a>${fallback}`;
+}
+
+/**
+ * Turn the encoded links inside an element into mailto: links
+ * @param {ParentNode} [root] - Defaults to the whole page
+ */
+function activateEmailLinks(root = document) {
+    root.querySelectorAll('a[data-email]').forEach(link => {
+        try {
+            const address = decodeEmail(link.dataset.email, link.dataset.encoding || DEFAULT_EMAIL_ENCODING);
+            link.setAttribute('href', buildMailto(address, link.dataset.subject));
+        } catch (error) {
+            console.error('Error decoding email link:', error);
+        }
+    });
+}
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => activateEmailLinks());
+}
+
+// scripts/build-class-pages.js and scripts/encode-email.js write links with this module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EMAIL_ENCODINGS,
+        DEFAULT_EMAIL_ENCODING,
+        encodeEmail,
+        decodeEmail,
+        buildMailto,
+        breakUpEmail,
+        renderEmailLink
+    };
+}
@@ -0,0 +1,341 @@
+'use strict';
+
+/**
+ * Facet Filters for Praxis Community University
+ * Checkbox groups (day, time of day, place, term, length) that narrow a
+ * class table together with the search box. Ticking more options in one
+ * group widens it; ticking options in several groups narrows it. Each
+ * option shows how many classes it would leave.
+ * Relies on js/schedule.js and htmlToPlainText from js/terms.js.
+ */
+
+const FACET_TBA = { value: 'tba', label: 'To be announced' };
+
+const FACET_DAYS = [
+    { value: 'mon', label: 'Monday' },
+    { value: 'tue', label: 'Tuesday' },
+    { value: 'wed', label: 'Wednesday' },
+    { value: 'thu', label: 'Thursday' },
+    { value: 'fri', label: 'Friday' },
+    { value: 'sat', label: 'Saturday' },
+    { value: 'sun', label: 'Sunday' },
+    FACET_TBA
+];
+
+const FACET_TIMES = [
+    { value: 'morning', label: 'Morning (before noon)' },
+    { value: 'afternoon', label: 'Afternoon (noon-5pm)' },
+    { value: 'evening', label: 'Evening (5pm on)' },
+    FACET_TBA
+];
+
+const FACET_LENGTHS = [
+    { value: 'short', label: 'A week or less' },
+    { value: 'medium', label: '2-4 weeks' },
+    { value: 'long', label: '5-7 weeks' },
+    { value: 'longer', label: '8 weeks or more' }
+];
+
+/**
+ * Turn a label into a value for checkboxes and the query string
+ * @param {string} label
+ * @returns {string}
+ */
+function facetSlug(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Short place label for a class: its venue's neighborhood, or for classes
+ * without a venue, whatever comes before the first comma or line break of
+ * its where field
+ * @param {Object} record - Class record
+ * @returns {string}
+ */
+function getPlaceLabel(record) {
+    if (record.venueInfo) return record.venueInfo.neighborhood;
+    const first = htmlToPlainText(String(record.where || '').split(/,|<br\s*\/?>/i)[0]);
+    if (/^different location/i.test(first)) return 'Various locations';
+    return first || FACET_TBA.label;
+}
+
+/**
+ * Facet groups: which values a record has, and which options to offer.
+ * Groups with fixed options list them; the rest are built from the data.
+ */
+const FACET_GROUPS = [
+    {
+        key: 'day',
+        label: 'Day',
+        options: FACET_DAYS,
+        values: record => {
+            const days = expandSchedule(record.schedule || {})
+                .map(meeting => WEEKDAY_CODES[weekdayOf(meeting.date)]);
+            return days.length > 0 ? [...new Set(days)] : [FACET_TBA.value];
+        }
+    },
+    {
+        key: 'time',
+        label: 'Time of day',
+        options: FACET_TIMES,
+        values: record => {
+            const times = expandSchedule(record.schedule || {})
+                .filter(meeting => meeting.start)
+                .map(meeting => {
+                    const hour = parseInt(meeting.start, 10);
+                    if (hour < 12) return 'morning';
+                    if (hour < 17) return 'afternoon';
+                    return 'evening';
+                });
+            return times.length > 0 ? [...new Set(times)] : [FACET_TBA.value];
+        }
+    },
+    {
+        key: 'where',
+        label: 'Where',
+        values: record => [facetSlug(getPlaceLabel(record))],
+        labels: record => [getPlaceLabel(record)],
+        sortOptions: (a, b) => a.label.localeCompare(b.label)
+    },
+    {
+        key: 'term',
+        label: 'Term',
+        values: record => record.term ? [facetSlug(record.term)] : [],
+        labels: record => record.term ? [record.term] : []
+    },
+    {
+        key: 'length',
+        label: 'Length',
+        options: FACET_LENGTHS,
+        values: record => {
+            const match = /^(\d+) (week|day)/.exec(record.duration || '');
+            if (!match) return [];
+            const weeks = match[2] === 'day' ? parseInt(match[1], 10) / 7 : parseInt(match[1], 10);
+            if (weeks <= 1) return ['short'];
+            if (weeks <= 4) return ['medium'];
+            if (weeks <= 7) return ['long'];
+            return ['longer'];
+        }
+    }
+];
+
+class FacetPanel {
+    /**
+     * @param {string} tableId - The table the facets filter
+     * @param {Array<Object>} records - Every record the table can show
+     * @param {Function} onChange - Called when a checkbox changes, e.g. a ClassTable refresh
+     */
+    constructor(tableId, records, onChange) {
+        this.tableId = tableId;
+        this.onChange = onChange;
+        this.valueCache = new WeakMap();
+        this.selected = {};
+        this.groups = this.buildGroups(records);
+        this.groups.forEach(group => { this.selected[group.key] = new Set(); });
+        this.init(records);
+    }
+
+    init(records) {
+        const table = document.getElementById(this.tableId);
+        const tableWrapper = table ? table.closest('.table-wrapper') : null;
+        if (!tableWrapper || this.groups.length === 0) return;
+
+        this.createElements(tableWrapper);
+        this.attachEventListeners();
+        this.updateCounts(records);
+    }
+
+    /**
+     * Get a record's value list for every group
+     * @param {Object} record
+     * @returns {Object} - {groupKey: Array<string>}
+     */
+    getValues(record) {
+        let values = this.valueCache.get(record);
+        if (!values) {
+            values = {};
+            FACET_GROUPS.forEach(group => { values[group.key] = group.values(record); });
+            this.valueCache.set(record, values);
+        }
+        return values;
+    }
+
+    /**
+     * Work out the options for each group; groups with fewer than two
+     * options can't narrow anything and are left out
+     * @param {Array<Object>} records
+     * @returns {Array<Object>}
+     */
+    buildGroups(records) {
+        return FACET_GROUPS.map(group => {
+            const present = new Set(records.flatMap(record => this.getValues(record)[group.key]));
+            let options;
+
+            if (group.options) {
+                options = group.options.filter(option => present.has(option.value));
+            } else {
+                const labels = new Map();
+                records.forEach(record => {
+                    const values = this.getValues(record)[group.key];
+                    group.labels(record).forEach((label, i) => {
+                        if (!labels.has(values[i])) labels.set(values[i], label);
+                    });
+                });
+                options = Array.from(labels, ([value, label]) => ({ value, label }));
+                if (group.sortOptions) options.sort(group.sortOptions);
+            }
+
+            return { key: group.key, label: group.label, options: options };
+        }).filter(group => group.options.length > 1);
+    }
+
+    createElements(tableWrapper) {
+        this.panel = document.createElement('details');
+        this.panel.id = 'facetPanel-' + this.tableId;
+        this.panel.className = 'facet-panel';
+        // Open by default where there is room for it
+        this.panel.open = !window.matchMedia('(max-width: 768px)').matches;
+
+        const groupsHtml = this.groups.map(group => `
+            <fieldset class="facet-group" data-facet="${group.key}">
+                <legend>${group.label}</legend>
+                ${group.options.map(option => `
+                    <label class="facet-option">
+                        <input type="checkbox" value="${option.value}">
+                        <span>${option.label}</span>
+                        <span class="facet-count"></span>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `).join('');
+
+        this.panel.innerHTML = `
+            <summary>Filter classes<span class="facet-active-count"></span></summary>
+            <div class="facet-groups">${groupsHtml}</div>
+            <button type="button" class="facet-clear">Clear filters</button>
+        `;
+
+        // Goes between this table's search controls and the table (and its
+        // mobile filter); another table's wrapper ends the search for them
+        let controls = tableWrapper.previousElementSibling;
+        while (controls && !controls.matches('.controls, .table-wrapper')) {
+            controls = controls.previousElementSibling;
+        }
+        if (controls && controls.matches('.controls')) {
+            controls.after(this.panel);
+        } else {
+            tableWrapper.parentNode.insertBefore(this.panel, tableWrapper);
+        }
+    }
+
+    attachEventListeners() {
+        this.panel.addEventListener('change', (e) => {
+            const groupElement = e.target.closest('.facet-group');
+            if (!groupElement) return;
+
+            const selected = this.selected[groupElement.dataset.facet];
+            if (e.target.checked) {
+                selected.add(e.target.value);
+            } else {
+                selected.delete(e.target.value);
+            }
+            this.onChange();
+        });
+
+        this.panel.querySelector('.facet-clear').addEventListener('click', () => {
+            this.clear();
+            this.onChange();
+        });
+    }
+
+    /**
+     * Check a record against the ticked options
+     * @param {Object} record
+     * @param {string} [ignoreKey] - Group to leave out, for counting its own options
+     * @returns {boolean}
+     */
+    matches(record, ignoreKey) {
+        const values = this.getValues(record);
+        return this.groups.every(group => {
+            const selected = this.selected[group.key];
+            if (group.key === ignoreKey || selected.size === 0) return true;
+            return values[group.key].some(value => selected.has(value));
+        });
+    }
+
+    /**
+     * Keep the records that match the ticked options
+     * @param {Array<Object>} records
+     * @returns {Array<Object>}
+     */
+    filter(records) {
+        return records.filter(record => this.matches(record));
+    }
+
+    /**
+     * Show, next to each option, how many of the given records ticking it would leave
+     * @param {Array<Object>} records - Records left after the search
+     */
+    updateCounts(records) {
+        if (!this.panel) return;
+
+        this.groups.forEach(group => {
+            const candidates = records.filter(record => this.matches(record, group.key));
+            const groupElement = this.panel.querySelector(`.facet-group[data-facet="${group.key}"]`);
+
+            group.options.forEach(option => {
+                const count = candidates.filter(record => this.getValues(record)[group.key].includes(option.value)).length;
+                const input = groupElement.querySelector(`input[value="${option.value}"]`);
+                const label = input.closest('.facet-option');
+                label.querySelector('.facet-count').textContent = `(${count})`;
+                // Options that would empty the table stay visible but greyed out
+                input.disabled = count === 0 && !input.checked;
+                label.classList.toggle('facet-option-empty', input.disabled);
+            });
+        });
+
+        const activeCount = Object.values(this.selected).reduce((sum, set) => sum + set.size, 0);
+        this.panel.querySelector('.facet-active-count').textContent = activeCount > 0 ? ` (${activeCount} active)` : '';
+    }
+
+    clear() {
+        Object.values(this.selected).forEach(set => set.clear());
+        if (this.panel) {
+            this.panel.querySelectorAll('.facet-option input').forEach(input => { input.checked = false; });
+        }
+    }
+
+    /**
+     * Write the ticked options into query string parameters, e.g. day=mon,wed
+     * @param {URLSearchParams} params
+     */
+    writeParams(params) {
+        this.groups.forEach(group => {
+            params.delete(group.key);
+            const selected = [...this.selected[group.key]];
+            if (selected.length > 0) params.set(group.key, selected.join(','));
+        });
+    }
+
+    /**
+     * Tick the options named in query string parameters
+     * @param {URLSearchParams} params
+     * @returns {boolean} - Whether any option was ticked
+     */
+    readParams(params) {
+        let anySelected = false;
+        this.groups.forEach(group => {
+            const wanted = (params.get(group.key) || '').split(',');
+            group.options.forEach(option => {
+                if (!wanted.includes(option.value)) return;
+                this.selected[group.key].add(option.value);
+                if (this.panel) {
+                    this.panel.querySelector(`.facet-group[data-facet="${group.key}"] input[value="${option.value}"]`).checked = true;
+                }
+                anySelected = true;
+            });
+        });
+        if (anySelected && this.panel) this.panel.open = true;
+        return anySelected;
+    }
+}
@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * iCalendar Export for Praxis Community University
+ * Builds .ics files from class records: one recurring event per weekly
+ * pattern (with breaks as exceptions) plus one event per extra session.
+ * Relies on the schedule model in js/schedule.js and htmlToPlainText from
+ * js/terms.js.
+ */
+
+// The browser loads js/schedule.js and js/terms.js before this file; Node requires them
+const calendarHelpers = typeof module !== 'undefined'
+    ? { ...require('./schedule'), ...require('./terms') }
+    : globalThis;
+
+const CALENDAR_TIMEZONE = 'America/Los_Angeles';
+
+// San Diego time zone definition, embedded so calendars don't have to guess
+const CALENDAR_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CALENDAR_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0800',
+    'TZOFFSETTO:-0700',
+    'TZNAME:PDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0800',
+    'TZNAME:PST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+const ICAL_WEEKDAYS = { sun: 'SU', mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA' };
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcalText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcalLine(line) {
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space, which counts toward their 75
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+/**
+ * Format a local date and time as an iCalendar DATE-TIME ("20260622T183000")
+ * @param {string} isoDate - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @returns {string}
+ */
+function formatIcalDateTime(isoDate, time) {
+    return `${isoDate.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Current time as a UTC DATE-TIME for DTSTAMP
+ * @returns {string}
+ */
+function formatIcalTimestamp(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the VEVENT blocks for one class
+ * @param {Object} record - Normalized class record (see normalizeClassRecord)
+ * @param {Object} options - {uidPrefix, url, stamp}
+ * @returns {Array<string>} - Unfolded content lines
+ */
+function buildClassEvents(record, options) {
+    const schedule = record.schedule || {};
+    const lines = [];
+    const summary = calendarHelpers.htmlToPlainText(record.name, true);
+    const location = calendarHelpers.htmlToPlainText(record.where);
+    const description = [calendarHelpers.htmlToPlainText(record.description, true), options.url].filter(Boolean).join('\n\n');
+    let eventIndex = 0;
+
+    const commonFields = () => {
+        const fields = [
+            `UID:${options.uidPrefix}-${record.id}-${eventIndex++}@praxissandiego.com`,
+            `DTSTAMP:${options.stamp}`,
+            `SUMMARY:${escapeIcalText(summary)}`
+        ];
+        if (location) fields.push(`LOCATION:${escapeIcalText(location)}`);
+        if (description) fields.push(`DESCRIPTION:${escapeIcalText(description)}`);
+        if (options.url) fields.push(`URL:${options.url}`);
+        return fields;
+    };
+
+    (schedule.weekly || []).forEach(pattern => {
+        const days = pattern.days.map(day => ICAL_WEEKDAYS[day]);
+        // Breaks are only exceptions if this pattern would have met that day
+        const patternDates = new Set(calendarHelpers.expandSchedule({ weekly: [pattern] }).map(meeting => meeting.date));
+        const exceptions = (schedule.skip || []).filter(isoDate => patternDates.has(isoDate));
+
+        // UNTIL must be UTC when DTSTART has a time zone; noon UTC the day after
+        // the last date is still that night in San Diego, so it keeps the last meeting
+        const until = calendarHelpers.parseScheduleDate(pattern.lastDate);
+        until.setUTCDate(until.getUTCDate() + 1);
+        const untilText = `${calendarHelpers.toIsoDate(until).replace(/-/g, '')}T120000Z`;
+
+        let rule = `RRULE:FREQ=WEEKLY;BYDAY=${days.join(',')};UNTIL=${untilText}`;
+        if ((pattern.interval || 1) > 1) rule += `;INTERVAL=${pattern.interval}`;
+
+        // DTSTART counts as the first occurrence, so a skipped first date is
+        // excluded like any other break
+        lines.push('BEGIN:VEVENT', ...commonFields());
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatIcalDateTime(pattern.firstDate, pattern.start)}`);
+        lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${formatIcalDateTime(pattern.firstDate, pattern.end)}`);
+        lines.push(rule);
+        exceptions.forEach(isoDate => {
+            lines.push(`EXDATE;TZID=${CALENDAR_TIMEZONE}:${formatIcalDateTime(isoDate, pattern.start)}`);
+        });
+        lines.push('END:VEVENT');
+    });
+
+    (schedule.extra || []).forEach(session => {
+        lines.push('BEGIN:VEVENT', ...commonFields());
+        if (session.start) {
+            lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatIcalDateTime(session.date, session.start)}`);
+            lines.push(`DTEND;TZID=${CALENDAR_TIMEZONE}:${formatIcalDateTime(session.date, session.end || session.start)}`);
+        } else {
+            // Time not announced yet: an all-day entry still holds the date
+            const nextDay = calendarHelpers.parseScheduleDate(session.date);
+            nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+            lines.push(`DTSTART;VALUE=DATE:${session.date.replace(/-/g, '')}`);
+            lines.push(`DTEND;VALUE=DATE:${calendarHelpers.toIsoDate(nextDay).replace(/-/g, '')}`);
+        }
+        if (session.note) {
+            lines.push(`COMMENT:${escapeIcalText(calendarHelpers.htmlToPlainText(session.note, true))}`);
+        }
+        lines.push('END:VEVENT');
+    });
+
+    return lines;
+}
+
+/**
+ * Build a complete .ics calendar
+ * @param {Array<Object>} entries - Array of {record, uidPrefix, url}
+ * @param {string} calendarName - Shown by calendar apps as the calendar title
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+function buildCalendar(entries, calendarName) {
+    const stamp = formatIcalTimestamp();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Praxis San Diego//Community University//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(calendarName)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        ...CALENDAR_VTIMEZONE
+    ];
+
+    entries.forEach(entry => {
+        lines.push(...buildClassEvents(entry.record, {
+            uidPrefix: entry.uidPrefix,
+            url: entry.url,
+            stamp: stamp
+        }));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcalLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Check whether a class has any dated meetings to put on a calendar
+ * @param {Object} record - Normalized class record
+ * @returns {boolean}
+ */
+function hasCalendarEvents(record) {
+    return calendarHelpers.expandSchedule(record.schedule || {}).length > 0;
+}
+
+/**
+ * Offer an .ics file as a download in the browser
+ * @param {string} filename - e.g. "essay-club.ics"
+ * @param {string} icsText - Output of buildCalendar
+ */
+function downloadCalendar(filename, icsText) {
+    const blob = new Blob([icsText], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Build scripts in scripts/ share the calendar builder with the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildClassEvents,
+        buildCalendar,
+        hasCalendarEvents
+    };
+}
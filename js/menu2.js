@@ -13,28 +13,9 @@ class NavigationMenu {
             main: [
                 { name: 'Home', href: '/index.html', hasSubmenu: false },
                 { name: 'Community University', href: '/university/index.html', hasSubmenu: true, submenuId: 'university' },
-                { name: 'Past Terms', href: '/university/classes/archive.html', hasSubmenu: true, submenuId: 'archive' }
-            ],
-            terms: {
-                current: {
-                    name: 'Summer 2026',
-                    path: '/data/terms/summer2026.json',
-                    linkPrefix: '/university/classes/summer2026/'
-                },
-                // Listed newest first in the menu
-                archived: [
-                    {
-                        name: 'Winter 2026',
-                        path: '/data/terms/winter2026.json',
-                        linkPrefix: '/university/classes/winter2026/'
-                    },
-                    {
-                        name: 'Fall 2025',
-                        path: '/data/terms/fall2025.json',
-                        linkPrefix: '/university/classes/fall2025/'
-                    }
-                ]
-            }
+                { name: 'Past Terms', href: '/university/classes/archive.html', hasSubmenu: true, submenuId: 'archive' },
+                { name: 'Instructors', href: '/university/instructors/index.html', hasSubmenu: false }
+            ]
         };
         this.classData = {};
         this.init();
@@ -193,17 +174,25 @@ class NavigationMenu {
     }
 
     async loadClassData() {
+        // Which term is current and which are archived comes from the term registry
+        let terms;
+        try {
+            terms = await loadTermRegistry();
+        } catch (error) {
+            console.error('Error loading term registry:', error);
+            this.populateSubmenuError('university');
+            this.populateSubmenuError('archive');
+            return;
+        }
+
         // Load current term classes for university submenu
         try {
-            const currentTermResponse = await fetch(this.menuData.terms.current.path);
+            const currentTermResponse = await fetch(terms.current.path);
             if (currentTermResponse.ok) {
                 const currentClasses = await currentTermResponse.json();
                 this.classData.university = currentClasses.map(c => ({
                     name: c.name,
-                    // Don't modify absolute URLs (external links)
-                    href: c.link.startsWith('http://') || c.link.startsWith('https://')
-                        ? c.link
-                        : this.menuData.terms.current.linkPrefix + c.link.split('/').pop()
+                    href: resolveClassLink(c.link)
                 }));
                 this.populateSubmenu('university', this.classData.university);
             } else {
@@ -217,7 +206,7 @@ class NavigationMenu {
         // Load archived terms as foldable per-term groups
         try {
             const termGroups = [];
-            for (const term of this.menuData.terms.archived) {
+            for (const term of terms.archived) {
                 const response = await fetch(term.path);
                 if (response.ok) {
                     const classes = await response.json();
@@ -225,10 +214,7 @@ class NavigationMenu {
                         name: term.name,
                         classes: classes.map(c => ({
                             name: c.name,
-                            // Don't modify absolute URLs (external links)
-                            href: c.link.startsWith('http://') || c.link.startsWith('https://')
-                                ? c.link
-                                : term.linkPrefix + c.link.split('/').pop()
+                            href: resolveClassLink(c.link)
                         }))
                     });
                 }
@@ -0,0 +1,395 @@
+'use strict';
+
+/**
+ * Class Schedule Model for Praxis Community University
+ * Expands the structured `schedule` object of a class record into
+ * individual meetings and formats it for display, so that the schedule
+ * text, start date, sort order and meeting count are all derived from
+ * the same data instead of being typed by hand.
+ *
+ * A schedule looks like:
+ *   {
+ *     "weekly": [{ "days": ["tue", "thu"], "start": "15:30", "end": "16:00",
+ *                  "firstDate": "2026-06-30", "lastDate": "2026-08-13", "interval": 1 }],
+ *     "skip": ["2026-07-21", "2026-07-23"],
+ *     "extra": [{ "date": "2026-08-24", "start": "18:30", "end": "20:00", "note": "..." }],
+ *     "firstDate": "2026-07-18",   (only for classes with no dates yet)
+ *     "note": "HTML shown after the schedule"
+ *   }
+ *
+ * Dates are "YYYY-MM-DD" and times are 24-hour "HH:MM", both local to San Diego.
+ *
+ * Also works out whether a class is taking applications on a given day,
+ * from its optional `registration` object:
+ *   { "deadline": "2026-06-28", "rolling": false, "capacity": 12, "status": "waitlist" }
+ */
+
+const WEEKDAY_CODES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGISTRATION_LABELS = { open: 'Open', waitlist: 'Waitlist', full: 'Full', closed: 'Closed' };
+
+/**
+ * Parse a "YYYY-MM-DD" date as a UTC midnight Date (avoids time zone drift)
+ * @param {string} isoDate
+ * @returns {Date}
+ */
+function parseScheduleDate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a Date back to "YYYY-MM-DD"
+ * @param {Date} date
+ * @returns {string}
+ */
+function toIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week for a date, 0 = Sunday
+ * @param {string} isoDate
+ * @returns {number}
+ */
+function weekdayOf(isoDate) {
+    return parseScheduleDate(isoDate).getUTCDay();
+}
+
+/**
+ * Expand a schedule into its individual meetings
+ * @param {Object} schedule - The record's schedule object
+ * @returns {Array<Object>} - Meetings {date, start, end, note} sorted by date and time
+ */
+function expandSchedule(schedule) {
+    const skip = new Set(schedule.skip || []);
+    const meetings = [];
+
+    (schedule.weekly || []).forEach(pattern => {
+        const first = parseScheduleDate(pattern.firstDate);
+        const last = parseScheduleDate(pattern.lastDate);
+        const interval = pattern.interval || 1;
+
+        for (let time = first.getTime(); time <= last.getTime(); time += DAY_MS) {
+            const date = new Date(time);
+            const week = Math.floor((time - first.getTime()) / (7 * DAY_MS));
+            const isoDate = toIsoDate(date);
+
+            if (week % interval !== 0) continue;
+            if (!pattern.days.includes(WEEKDAY_CODES[date.getUTCDay()])) continue;
+            if (skip.has(isoDate)) continue;
+
+            meetings.push({ date: isoDate, start: pattern.start, end: pattern.end, note: null });
+        }
+    });
+
+    (schedule.extra || []).forEach(session => {
+        meetings.push({
+            date: session.date,
+            start: session.start || null,
+            end: session.end || null,
+            note: session.note || null
+        });
+    });
+
+    return meetings.sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.start || '').localeCompare(b.start || '')
+    );
+}
+
+/**
+ * Format "HH:MM" as 12-hour parts
+ * @param {string} time
+ * @returns {{clock: string, suffix: string}} - e.g. {clock: '6:30', suffix: 'pm'}
+ */
+function formatClock(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const hour12 = hours % 12 === 0 ? 12 : hours % 12;
+    return {
+        clock: minutes ? `${hour12}:${String(minutes).padStart(2, '0')}` : String(hour12),
+        suffix: hours < 12 ? 'am' : 'pm'
+    };
+}
+
+/**
+ * Format a time range the way the site writes it, e.g. "6:30-8pm" or "11am-3pm"
+ * @param {string|null} start - "HH:MM"
+ * @param {string|null} end - "HH:MM"
+ * @returns {string}
+ */
+function formatTimeRange(start, end) {
+    if (!start) return 'time TBA';
+
+    const from = formatClock(start);
+    if (!end) return from.clock + from.suffix;
+
+    const to = formatClock(end);
+    const fromSuffix = from.suffix === to.suffix ? '' : from.suffix;
+    return `${from.clock}${fromSuffix}-${to.clock}${to.suffix}`;
+}
+
+/**
+ * Format a date as "Jun 22"
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatShortDate(isoDate) {
+    const date = parseScheduleDate(isoDate);
+    return `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}`;
+}
+
+/**
+ * Format a date range as "Oct 4-25" or "Jun 22-Jul 20"
+ * @param {string} firstDate
+ * @param {string} lastDate
+ * @returns {string}
+ */
+function formatDateRange(firstDate, lastDate) {
+    if (firstDate === lastDate) return formatShortDate(firstDate);
+
+    const first = parseScheduleDate(firstDate);
+    const last = parseScheduleDate(lastDate);
+    const end = first.getUTCMonth() === last.getUTCMonth()
+        ? String(last.getUTCDate())
+        : formatShortDate(lastDate);
+    return `${formatShortDate(firstDate)}-${end}`;
+}
+
+/**
+ * Format a list of dates as "Jul 21 & 23" or "Feb 1, 15, Mar 1 & 15"
+ * @param {Array<string>} isoDates
+ * @returns {string}
+ */
+function formatDateList(isoDates) {
+    const parts = isoDates.map((isoDate, index) => {
+        const sameMonth = index > 0 && isoDates[index - 1].slice(0, 7) === isoDate.slice(0, 7);
+        return sameMonth ? String(parseScheduleDate(isoDate).getUTCDate()) : formatShortDate(isoDate);
+    });
+    if (parts.length <= 1) return parts.join('');
+    return `${parts.slice(0, -1).join(', ')} & ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Describe the days of a weekly pattern, e.g. "Tuesdays and Thursdays"
+ * @param {Object} pattern
+ * @returns {string}
+ */
+function formatPatternDays(pattern) {
+    const names = pattern.days.map(code => WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(code)]);
+    const plural = names.map(name => name + 's').join(' and ');
+    const interval = pattern.interval || 1;
+
+    if (interval === 2) return `Every other ${names.join(' and ')}`;
+    if (interval > 2) return `Every ${interval} weeks on ${plural}`;
+    return plural;
+}
+
+/**
+ * Pluralize the meeting count
+ * @param {number} count
+ * @returns {string}
+ */
+function formatMeetingCount(count) {
+    return count === 1 ? '1 meeting' : `${count} meetings`;
+}
+
+/**
+ * Format a schedule as HTML for tables and class pages
+ * @param {Object} schedule - The record's schedule object
+ * @returns {string} - e.g. "Mondays 7-8:30pm,<br>Jan 19-Mar 16,<br>8 meetings<br>(break on Feb 16)"
+ */
+function formatSchedule(schedule) {
+    const weekly = schedule.weekly || [];
+    const extra = schedule.extra || [];
+    const meetings = expandSchedule(schedule);
+    const lines = [];
+
+    if (weekly.length > 0) {
+        weekly.forEach((pattern, index) => {
+            const separator = index < weekly.length - 1 ? ',' : '';
+            // Short runs read better as a list ("Feb 5 & 12") than as a range
+            const dates = expandSchedule({ weekly: [pattern], skip: schedule.skip }).map(meeting => meeting.date);
+            const dateText = dates.length <= 2
+                ? formatDateList(dates)
+                : formatDateRange(pattern.firstDate, pattern.lastDate);
+            lines.push(`${formatPatternDays(pattern)} ${formatTimeRange(pattern.start, pattern.end)},`);
+            lines.push(dateText + separator);
+        });
+
+        // Extra sessions are listed after the pattern they supplement
+        const main = weekly[0];
+        extra.forEach(session => {
+            const sameDay = main.days.includes(WEEKDAY_CODES[weekdayOf(session.date)]);
+            const sameTime = session.start === main.start && session.end === main.end;
+            let text = 'and ';
+            if (!sameDay) text += `${WEEKDAY_NAMES[weekdayOf(session.date)]} `;
+            text += formatShortDate(session.date);
+            if (!sameTime) text += `, ${formatTimeRange(session.start, session.end)}`;
+            if (session.note) text += `: ${session.note}`;
+            lines.push(text);
+        });
+        lines[lines.length - 1] += ',';
+    } else if (extra.length > 0) {
+        const first = extra[0];
+        const sharedSlot = extra.every(session =>
+            weekdayOf(session.date) === weekdayOf(first.date) &&
+            session.start === first.start &&
+            session.end === first.end &&
+            !session.note
+        );
+
+        if (sharedSlot) {
+            const dayName = WEEKDAY_NAMES[weekdayOf(first.date)] + (extra.length > 1 ? 's' : '');
+            lines.push(`${dayName} ${formatTimeRange(first.start, first.end)},`);
+            lines.push(`${formatDateList(meetings.map(meeting => meeting.date))},`);
+        } else {
+            meetings.forEach(meeting => {
+                let text = `${WEEKDAY_NAMES[weekdayOf(meeting.date)]} ${formatShortDate(meeting.date)}, ` +
+                    formatTimeRange(meeting.start, meeting.end);
+                if (meeting.note) text += `: ${meeting.note}`;
+                lines.push(text + ',');
+            });
+        }
+    }
+
+    if (meetings.length > 0) {
+        lines.push(formatMeetingCount(meetings.length));
+    }
+
+    let html = lines.join('<br>');
+
+    const skipped = (schedule.skip || []).slice().sort();
+    if (skipped.length > 0) {
+        html += `<br>(break on ${formatDateList(skipped)})`;
+    }
+
+    if (schedule.note) {
+        html += html ? `<br><br>${schedule.note}` : schedule.note;
+    }
+
+    return html;
+}
+
+/**
+ * Add the fields derived from `schedule` to a class record
+ * Sets when, start, firstDate, lastDate, meetingCount, dayOrder, timeOrder
+ * and scheduleSortKey.
+ * @param {Object} record - Class record from a term JSON file
+ * @returns {Object} - The same record, for chaining
+ */
+function normalizeClassRecord(record) {
+    const schedule = record.schedule || {};
+    const meetings = expandSchedule(schedule);
+    const firstMeeting = meetings[0];
+    const firstDate = firstMeeting ? firstMeeting.date : (schedule.firstDate || null);
+
+    // The "main" slot drives day/time sorting: the first weekly pattern if
+    // there is one, otherwise the first meeting
+    const mainPattern = (schedule.weekly || [])[0];
+    const mainDay = mainPattern
+        ? WEEKDAY_CODES.indexOf(mainPattern.days[0])
+        : (firstDate ? weekdayOf(firstDate) : null);
+    const mainStart = mainPattern ? mainPattern.start : (firstMeeting ? firstMeeting.start : null);
+
+    record.meetings = meetings;
+    record.meetingCount = meetings.length;
+    record.firstDate = firstDate;
+    record.lastDate = meetings.length > 0 ? meetings[meetings.length - 1].date : firstDate;
+    record.when = formatSchedule(schedule);
+    record.start = firstDate
+        ? `${WEEKDAY_NAMES[weekdayOf(firstDate)].slice(0, 3)}, ${formatShortDate(firstDate)}`
+        : 'TBD';
+
+    // Monday = 1 ... Sunday = 7, so the week reads the way the term does
+    record.dayOrder = mainDay === null ? '' : String(mainDay === 0 ? 7 : mainDay);
+    record.timeOrder = mainStart ? mainStart.replace(':', '') : '';
+
+    // Fixed-width key so plain string comparison sorts by day, time, then date;
+    // classes without a fixed slot sort last
+    record.scheduleSortKey = (record.dayOrder || '9') + (record.timeOrder || '9999') + (firstDate || '9999-99-99');
+
+    return record;
+}
+
+/**
+ * Today's date in San Diego, where deadlines are kept
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function todayInSanDiego() {
+    // en-CA writes dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+/**
+ * Work out a class's registration status on a given day. A status set by
+ * hand in `registration.status` wins; otherwise registration is open until
+ * the deadline (inclusive) and closed after it.
+ * @param {Object} record - Class record with registrationDeadline (see addRegistrationInfo in js/terms.js)
+ * @param {string} today - "YYYY-MM-DD"
+ * @returns {?string} - 'open', 'waitlist', 'full' or 'closed'; null for classes
+ *   that don't take registrations or are already over
+ */
+function registrationStatus(record, today) {
+    if (!record.registration && !record.registrationDeadline) return null;
+    if (record.lastDate && today > record.lastDate) return null;
+
+    const registration = record.registration || {};
+    if (registration.status) return registration.status;
+    if (record.registrationDeadline && today > record.registrationDeadline) return 'closed';
+    return 'open';
+}
+
+/**
+ * Label for a registration status badge, e.g. "Open until Jun 28"
+ * @param {Object} record - Class record
+ * @param {string} status - From registrationStatus()
+ * @returns {string}
+ */
+function formatRegistrationStatus(record, status) {
+    if (status !== 'open') return REGISTRATION_LABELS[status];
+    if (record.registrationDeadline) return `Open until ${formatShortDate(record.registrationDeadline)}`;
+    return (record.registration || {}).rolling ? 'Open, rolling' : 'Open';
+}
+
+/**
+ * Fill in a registration badge for today. Pages are built ahead of time, so
+ * badges are written empty and the status is worked out where they're shown.
+ * @param {HTMLElement} badge - A .registration-badge element
+ * @param {Object} record - Class record
+ * @param {string} [today] - "YYYY-MM-DD", defaults to today in San Diego
+ */
+function showRegistrationStatus(badge, record, today = todayInSanDiego()) {
+    const status = registrationStatus(record, today);
+    badge.hidden = !status;
+    if (!status) return;
+
+    const capacity = (record.registration || {}).capacity;
+    badge.className = `registration-badge registration-${status}`;
+    badge.textContent = formatRegistrationStatus(record, status);
+    if (capacity) {
+        badge.title = `${capacity} spots`;
+    }
+}
+
+// Build scripts in scripts/ share this model with the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WEEKDAY_CODES,
+        WEEKDAY_NAMES,
+        parseScheduleDate,
+        toIsoDate,
+        weekdayOf,
+        expandSchedule,
+        formatTimeRange,
+        formatShortDate,
+        formatDateRange,
+        formatDateList,
+        formatSchedule,
+        normalizeClassRecord,
+        todayInSanDiego,
+        registrationStatus,
+        formatRegistrationStatus
+    };
+}
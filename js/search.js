@@ -0,0 +1,340 @@
+'use strict';
+
+/**
+ * Class Search for Praxis Community University
+ * Ranked search over class records: markup is stripped before matching,
+ * accents and case are ignored, small typos are tolerated, and queries can
+ * use "quoted phrases" and field prefixes such as instructor:name or term:fall.
+ * Relies on htmlToPlainText from js/terms.js.
+ */
+
+// The browser loads js/terms.js before this file; Node (test/search.test.js) requires it
+const searchTextHelpers = typeof module !== 'undefined' ? require('./terms') : globalThis;
+
+// Searched fields, most important first; the weight ranks where a term matched
+const SEARCH_FIELDS = [
+    { key: 'name', weight: 10 },
+    { key: 'instructor', weight: 6 },
+    { key: 'description', weight: 3 },
+    { key: 'when', weight: 1 },
+    { key: 'where', weight: 1 },
+    { key: 'term', weight: 1 }
+];
+
+// How well a term matched inside a field
+const MATCH_QUALITY = {
+    word: 1,      // a whole word
+    prefix: 0.9,  // the start of a word
+    inside: 0.6,  // somewhere inside a word
+    fuzzy: 0.4    // a word within the typo allowance
+};
+
+// Cache of plain, folded field text per record
+const searchTextCache = new WeakMap();
+
+/**
+ * Fold a single character for matching: lowercase, accents removed.
+ * Folding per character keeps a mapping back to the original text.
+ * @param {string} char
+ * @returns {string}
+ */
+function foldChar(char) {
+    return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Fold text for matching ("Café" -> "cafe")
+ * @param {string} text
+ * @returns {string}
+ */
+function foldSearchText(text) {
+    return Array.from(text, foldChar).join('');
+}
+
+/**
+ * Split folded text into words, in any script ("пример", "日本語")
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitWords(text) {
+    return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Split a query into terms, e.g. `instructor:"tom p" poetry` becomes
+ * [{field: 'instructor', text: 'tom p', phrase: true}, {field: null, text: 'poetry', phrase: false}]
+ * @param {string} query
+ * @returns {Array<{field: ?string, text: string, phrase: boolean}>}
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const fieldKeys = SEARCH_FIELDS.map(field => field.key);
+    const tokenPattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+        let field = match[1] ? match[1].toLowerCase() : null;
+        const phrase = match[2] !== undefined;
+        let text = phrase ? match[2] : match[3];
+
+        // Not a known field (e.g. "http:"), so the prefix is part of the text
+        if (field && !fieldKeys.includes(field)) {
+            text = `${match[1]}:${text}`;
+            field = null;
+        }
+
+        text = foldSearchText(text).replace(/\s+/g, ' ').trim();
+        if (!text) continue;
+
+        // Unquoted punctuation doesn't need to match, e.g. "nvc," or "(tom)"
+        if (!phrase) {
+            const words = splitWords(text);
+            if (words.length === 0) continue;
+            words.forEach(word => terms.push({ field: field, text: word, phrase: false }));
+        } else {
+            terms.push({ field: field, text: text, phrase: true });
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Number of typos tolerated in a word of this length
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedEdits(length) {
+    if (length <= 4) return 0;
+    if (length <= 7) return 1;
+    return 2;
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one typo
+ * (optimal string alignment), giving up once it exceeds max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} - The distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Get the folded text and words of each searchable field of a record
+ * @param {Object} record
+ * @returns {Object} - {fieldKey: {text, words}}
+ */
+function getSearchText(record) {
+    let fields = searchTextCache.get(record);
+    if (!fields) {
+        fields = {};
+        SEARCH_FIELDS.forEach(field => {
+            const text = foldSearchText(searchTextHelpers.htmlToPlainText(record[field.key]));
+            fields[field.key] = { text: text, words: splitWords(text) };
+        });
+        searchTextCache.set(record, fields);
+    }
+    return fields;
+}
+
+/**
+ * Match one term against one field's text
+ * @param {Object} term - From parseSearchQuery
+ * @param {{text: string, words: Array<string>}} fieldText
+ * @returns {?{quality: number, highlight: string}}
+ */
+function matchTerm(term, fieldText) {
+    if (term.phrase) {
+        return fieldText.text.includes(term.text)
+            ? { quality: MATCH_QUALITY.word, highlight: term.text }
+            : null;
+    }
+
+    if (fieldText.words.includes(term.text)) {
+        return { quality: MATCH_QUALITY.word, highlight: term.text };
+    }
+    if (fieldText.words.some(word => word.startsWith(term.text))) {
+        return { quality: MATCH_QUALITY.prefix, highlight: term.text };
+    }
+    if (fieldText.text.includes(term.text)) {
+        return { quality: MATCH_QUALITY.inside, highlight: term.text };
+    }
+
+    const maxEdits = allowedEdits(term.text.length);
+    if (maxEdits === 0) return null;
+
+    for (const word of fieldText.words) {
+        // Compare whole words, and word starts so a half-typed word still matches
+        if (editDistance(term.text, word, maxEdits) <= maxEdits) {
+            return { quality: MATCH_QUALITY.fuzzy, highlight: word };
+        }
+        if (word.length > term.text.length) {
+            const start = word.slice(0, term.text.length);
+            if (editDistance(term.text, start, maxEdits) <= maxEdits) {
+                return { quality: MATCH_QUALITY.fuzzy, highlight: start };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Search class records
+ * @param {Array<Object>} records - Class records
+ * @param {string} query - Text typed into the search box
+ * @returns {{records: Array<Object>, highlights: Array<string>}} - Matching records,
+ *     best first (all records in their original order for an empty query), and the
+ *     folded strings to highlight in the rendered rows
+ */
+function searchClasses(records, query) {
+    const terms = parseSearchQuery(query || '');
+    if (terms.length === 0) {
+        return { records: [...records], highlights: [] };
+    }
+
+    const highlights = new Set();
+    const results = [];
+
+    records.forEach((record, index) => {
+        const fields = getSearchText(record);
+        const recordHighlights = [];
+        let score = 0;
+
+        const matchesAll = terms.every(term => {
+            let best = null;
+            SEARCH_FIELDS.forEach(field => {
+                if (term.field && term.field !== field.key) return;
+                const match = matchTerm(term, fields[field.key]);
+                if (match) {
+                    recordHighlights.push(match.highlight);
+                    const fieldScore = field.weight * match.quality;
+                    if (best === null || fieldScore > best) best = fieldScore;
+                }
+            });
+            score += best || 0;
+            return best !== null;
+        });
+
+        if (matchesAll) {
+            results.push({ record: record, score: score, index: index });
+            recordHighlights.forEach(highlight => highlights.add(highlight));
+        }
+    });
+
+    // Stable: equal scores keep the table's original order
+    results.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    return {
+        records: results.map(result => result.record),
+        highlights: [...highlights]
+    };
+}
+
+/**
+ * Wrap matches of the given strings in <mark> inside an element's text
+ * @param {HTMLElement} element - e.g. a table row
+ * @param {Array<string>} highlights - Folded strings from searchClasses
+ */
+function highlightMatches(element, highlights) {
+    if (!highlights || highlights.length === 0) return;
+
+    // Longest first so "poetry" wins over "poe" at the same spot
+    const needles = [...highlights].sort((a, b) => b.length - a.length);
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('mark')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const original = node.nodeValue;
+
+        // Fold character by character, remembering where each folded
+        // character came from in the original text
+        let folded = '';
+        const sourceIndex = [];
+        Array.from(original).reduce((offset, char) => {
+            const foldedChar = foldChar(char);
+            for (let i = 0; i < foldedChar.length; i++) sourceIndex.push(offset);
+            folded += foldedChar;
+            return offset + char.length;
+        }, 0);
+        sourceIndex.push(original.length);
+
+        // Collect non-overlapping ranges in the folded text
+        const ranges = [];
+        needles.forEach(needle => {
+            let from = folded.indexOf(needle);
+            while (from !== -1) {
+                const to = from + needle.length;
+                if (!ranges.some(range => from < range.to && to > range.from)) {
+                    ranges.push({ from: from, to: to });
+                }
+                from = folded.indexOf(needle, to);
+            }
+        });
+        if (ranges.length === 0) return;
+        ranges.sort((a, b) => a.from - b.from);
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        ranges.forEach(range => {
+            const start = sourceIndex[range.from];
+            const end = sourceIndex[range.to];
+            fragment.appendChild(document.createTextNode(original.slice(last, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = original.slice(start, end);
+            fragment.appendChild(mark);
+            last = end;
+        });
+        fragment.appendChild(document.createTextNode(original.slice(last)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Undo highlightMatches inside an element
+ * @param {HTMLElement} element
+ */
+function clearHighlights(element) {
+    const marks = element.querySelectorAll('mark.search-highlight');
+    if (marks.length === 0) return;
+
+    marks.forEach(mark => mark.replaceWith(mark.textContent));
+    // Join the split text nodes back up so the next search sees whole words
+    element.normalize();
+}
+
+// Tests in test/ load the search without a browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseSearchQuery,
+        editDistance,
+        searchClasses
+    };
+}
@@ -0,0 +1,291 @@
+'use strict';
+
+/**
+ * Term Registry for Praxis Community University
+ * Loads data/terms/index.json, the one place that lists every term and
+ * says which one is current. Menus, class pages, the archive and the
+ * index page all read terms from here.
+ */
+
+const TERM_REGISTRY_PATH = '/data/terms/index.json';
+const INSTRUCTORS_PATH = '/data/instructors.json';
+const VENUES_PATH = '/data/venues.json';
+
+// Class links in the term JSON files are relative to the university folder
+const CLASS_LINK_ROOT = '/university/';
+// Written by scripts/build-instructor-pages.js
+const INSTRUCTOR_PAGE_ROOT = '/university/instructors/';
+
+let termRegistryPromise = null;
+let instructorsPromise = null;
+let venuesPromise = null;
+
+/**
+ * Load the term registry (fetched once per page, then cached)
+ * @returns {Promise<Object>} - {current, archived, all}; each term is {id, name, path, registrationDeadline}
+ */
+function loadTermRegistry() {
+    if (!termRegistryPromise) {
+        termRegistryPromise = fetch(TERM_REGISTRY_PATH)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(buildTermRegistry);
+    }
+    return termRegistryPromise;
+}
+
+/**
+ * Turn the raw manifest into term objects, newest first
+ * @param {Object} manifest - Parsed data/terms/index.json
+ * @returns {Object} - {current, archived, all}
+ */
+function buildTermRegistry(manifest) {
+    const all = manifest.terms.map(term => ({
+        id: term.id,
+        name: term.name,
+        path: `/data/terms/${term.id}.json`,
+        // For classes that don't set their own
+        registrationDeadline: term.registrationDeadline || null
+    }));
+
+    const current = all.find(term => term.id === manifest.current);
+    if (!current) {
+        throw new Error(`Current term "${manifest.current}" is not listed in the term registry`);
+    }
+
+    return {
+        current: current,
+        archived: all.filter(term => term !== current),
+        all: all
+    };
+}
+
+/**
+ * Load the instructor directory (fetched once per page, then cached).
+ * Classes still show without it, so a failed load gives an empty list.
+ * @returns {Promise<Array>} - Instructors, each {id, name, bio, photo, links}
+ */
+function loadInstructors() {
+    if (!instructorsPromise) {
+        instructorsPromise = fetch(INSTRUCTORS_PATH)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.error('Error loading instructors:', error);
+                return [];
+            });
+    }
+    return instructorsPromise;
+}
+
+/**
+ * Load the venue list (fetched once per page, then cached). Classes still
+ * show without it, so a failed load gives an empty list.
+ * @returns {Promise<Array>} - Venues, each {id, name, address, neighborhood, coordinates, ...}
+ */
+function loadVenues() {
+    if (!venuesPromise) {
+        venuesPromise = fetch(VENUES_PATH)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                console.error('Error loading venues:', error);
+                return [];
+            });
+    }
+    return venuesPromise;
+}
+
+/**
+ * Load the class records of one term, with the term's name, the fields
+ * derived from their schedules, their registration deadlines, their venues
+ * and links to their instructors' pages
+ * @param {Object} term - Term registry entry
+ * @returns {Promise<Array>} - Class records
+ */
+async function loadTermClasses(term) {
+    const response = await fetch(term.path);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const classes = await response.json();
+    const [instructors, venues] = await Promise.all([loadInstructors(), loadVenues()]);
+    const records = addRegistrationInfo(classes.map(normalizeClassRecord), term);
+    records.forEach(record => { record.term = term.name; });
+    return addInstructorInfo(addVenueInfo(records, venues), instructors);
+}
+
+/**
+ * Resolve a class link from a term JSON file to a site URL
+ * @param {string} link - The class record's link field
+ * @returns {string} - Absolute site path, or the link itself if it is external
+ */
+function resolveClassLink(link) {
+    // Don't modify absolute URLs (external links) or links already resolved
+    if (link.startsWith('http://') || link.startsWith('https://') || link.startsWith('/')) {
+        return link;
+    }
+    return CLASS_LINK_ROOT + link;
+}
+
+/**
+ * Site path of an instructor's page
+ * @param {string} id - Instructor id from data/instructors.json
+ * @returns {string}
+ */
+function instructorPageUrl(id) {
+    return `${INSTRUCTOR_PAGE_ROOT}${id}.html`;
+}
+
+/**
+ * Give class records the names and pages of their instructors, as
+ * `instructorLinks` ({name, href} in the record's order). Records whose
+ * instructors aren't all in the directory are left with their credit line.
+ * @param {Array<Object>} records - Class records
+ * @param {Array<Object>} instructors - The instructor directory
+ * @returns {Array<Object>} - The same records
+ */
+function addInstructorInfo(records, instructors) {
+    const byId = new Map(instructors.map(instructor => [instructor.id, instructor]));
+
+    records.forEach(record => {
+        const ids = record.instructors || [];
+        if (ids.length === 0 || !ids.every(id => byId.has(id))) return;
+        record.instructorLinks = ids.map(id => ({
+            name: byId.get(id).name,
+            href: instructorPageUrl(id)
+        }));
+    });
+    return records;
+}
+
+/**
+ * Location cell HTML for a venue: its name and address, linked where
+ * there are links. Private venues give only their neighborhood.
+ * @param {Object} venue - Entry of data/venues.json
+ * @returns {string}
+ */
+function formatVenue(venue) {
+    const name = venue.url ? `<a href="${venue.url}">${venue.name}</a>` : venue.name;
+    if (venue.private) return `${name},<br>Address provided to enrollees.`;
+    if (!venue.address) return name;
+    const address = venue.mapUrl ? `<a href="${venue.mapUrl}">${venue.address}</a>` : venue.address;
+    return `${name},<br>${address}`;
+}
+
+/**
+ * Give class records that meet at a venue its entry, as `venueInfo`, and
+ * their location HTML, as `where`, followed by any locationNote. Records
+ * with their own `where` keep it.
+ * @param {Array<Object>} records - Class records
+ * @param {Array<Object>} venues - The venue list
+ * @returns {Array<Object>} - The same records
+ */
+function addVenueInfo(records, venues) {
+    const byId = new Map(venues.map(venue => [venue.id, venue]));
+
+    records.forEach(record => {
+        if (!record.venue) return;
+        const venue = byId.get(record.venue) || null;
+        const parts = [venue ? formatVenue(venue) : '', record.locationNote || ''].filter(Boolean);
+        record.venueInfo = venue;
+        record.where = parts.join('<br><br>');
+    });
+    return records;
+}
+
+/**
+ * Give class records their registration deadline, as `registrationDeadline`:
+ * their own, or else the term's. Rolling registrations have none.
+ * @param {Array<Object>} records - Class records of one term
+ * @param {Object} term - Term registry entry
+ * @returns {Array<Object>} - The same records
+ */
+function addRegistrationInfo(records, term) {
+    records.forEach(record => {
+        const registration = record.registration || {};
+        record.registrationDeadline = registration.rolling
+            ? null
+            : (registration.deadline || term.registrationDeadline || null);
+    });
+    return records;
+}
+
+/**
+ * Reduce an HTML snippet from the term data to plain text: tags dropped,
+ * entities decoded and whitespace collapsed. Search, facets, calendar files
+ * and the page builders in scripts/ all read term data through this.
+ * @param {string} html
+ * @param {boolean} [keepLineBreaks] - Keep <br>s and line breaks as "\n" instead of spaces
+ * @returns {string}
+ */
+function htmlToPlainText(html, keepLineBreaks = false) {
+    return String(html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line)
+        .join(keepLineBreaks ? '\n' : ' ');
+}
+
+/**
+ * Id of a class's row in a table of several terms, such as the archive.
+ * Runs of the same course share a record id, so it is qualified by term.
+ * @param {Object} term - Term registry entry
+ * @param {string} id - The class record's id
+ * @returns {string}
+ */
+function termRowId(term, id) {
+    return `${term.id}-${id}`;
+}
+
+/**
+ * Add the term's start date to its class records, give them
+ * term-qualified row ids, and resolve their links
+ * @param {Array<Object>} records - Class records of one term
+ * @param {Object} term - Term registry entry
+ * @returns {Array<Object>} - The same records
+ */
+function addTermInfo(records, term) {
+    // Term start orders the term column; the registry has no dates of its own
+    const termStart = records.map(record => record.firstDate).filter(Boolean).sort()[0] || null;
+
+    records.forEach(record => {
+        record.termStart = termStart;
+        record.rowId = termRowId(term, record.id);
+        record.link = resolveClassLink(record.link);
+    });
+    return records;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        resolveClassLink,
+        instructorPageUrl,
+        htmlToPlainText,
+        addInstructorInfo,
+        addVenueInfo,
+        addRegistrationInfo,
+        termRowId,
+        addTermInfo
+    };
+}
@@ -0,0 +1,342 @@
+'use strict';
+
+/**
+ * Venue Map View for Praxis Community University
+ * Draws the venues of the classes in a term table on a canvas from the
+ * coordinates in data/venues.json, with a numbered list of the venues and
+ * their classes below it. It's a schematic (points, a scale bar and north),
+ * so no map service is needed. Follows the table's search, facets and
+ * mobile class filter through the tableDataChange event from table-utils.js.
+ */
+
+const VENUE_MAP_HEIGHT = 360; // px
+const VENUE_MAP_PADDING = 36; // px around the outermost venues
+const VENUE_MAP_MILES_PER_DEGREE = 69; // of latitude
+const VENUE_MAP_COLORS = {
+    background: '#f8fafc',
+    marker: '#2563eb',
+    label: '#ffffff',
+    text: '#334155'
+};
+
+/**
+ * Group records by the venue they meet at
+ * @param {Array<Object>} records - Class records with venueInfo (see addVenueInfo in js/terms.js)
+ * @returns {{places: Array<{venue: Object, records: Array<Object>}>, elsewhere: Array<Object>}}
+ *   Venues sorted by neighborhood and name, and the records without one
+ */
+function groupRecordsByVenue(records) {
+    const places = new Map();
+    const elsewhere = [];
+
+    records.forEach(record => {
+        if (!record.venueInfo) {
+            elsewhere.push(record);
+            return;
+        }
+        if (!places.has(record.venueInfo.id)) {
+            places.set(record.venueInfo.id, { venue: record.venueInfo, records: [] });
+        }
+        places.get(record.venueInfo.id).records.push(record);
+    });
+
+    const sorted = [...places.values()].sort((a, b) =>
+        a.venue.neighborhood.localeCompare(b.venue.neighborhood) || a.venue.name.localeCompare(b.venue.name));
+    return { places: sorted, elsewhere: elsewhere };
+}
+
+/**
+ * Fit coordinates into a box, keeping distances true in both directions
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} width - px
+ * @param {number} height - px
+ * @returns {{project: Function, pxPerMile: number}} - project(point) gives {x, y}
+ */
+function fitProjection(points, width, height) {
+    const lats = points.map(point => point.lat);
+    const lngs = points.map(point => point.lng);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const midLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+    // A degree of longitude shrinks away from the equator
+    const lngScale = Math.cos(midLat * Math.PI / 180);
+
+    const spanX = (Math.max(...lngs) - Math.min(...lngs)) * lngScale;
+    const spanY = Math.max(...lats) - Math.min(...lats);
+    const innerWidth = width - 2 * VENUE_MAP_PADDING;
+    const innerHeight = height - 2 * VENUE_MAP_PADDING;
+    // A single venue gets a view about two miles across
+    const pxPerDegree = Math.min(
+        spanX > 0 ? innerWidth / spanX : Infinity,
+        spanY > 0 ? innerHeight / spanY : Infinity,
+        innerWidth * VENUE_MAP_MILES_PER_DEGREE / 2
+    );
+
+    return {
+        project: point => ({
+            x: width / 2 + (point.lng - midLng) * lngScale * pxPerDegree,
+            y: height / 2 - (point.lat - midLat) * pxPerDegree
+        }),
+        pxPerMile: pxPerDegree / VENUE_MAP_MILES_PER_DEGREE
+    };
+}
+
+class VenueMap {
+    /**
+     * @param {ClassTable} classTable - The table whose shown rows are mapped
+     */
+    constructor(classTable) {
+        this.classTable = classTable;
+        this.tableId = classTable.tableId;
+        this.isVisible = false;
+        this.markers = []; // {x, y, radius, number} from the last drawing
+        this.init();
+    }
+
+    init() {
+        const table = document.getElementById(this.tableId);
+        this.tableWrapper = table ? table.closest('.table-wrapper') : null;
+        if (!this.tableWrapper) {
+            console.warn(`Table with ID "${this.tableId}" not found`);
+            return;
+        }
+
+        this.createElements();
+        this.attachEventListeners();
+    }
+
+    createElements() {
+        // Toggle button sits with the search box
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'controls-button venue-map-toggle';
+        this.toggleButton.setAttribute('aria-pressed', 'false');
+        this.toggleButton.textContent = 'Map view';
+
+        const controls = document.querySelector('.controls');
+        if (controls) {
+            controls.appendChild(this.toggleButton);
+        } else {
+            this.tableWrapper.parentNode.insertBefore(this.toggleButton, this.tableWrapper);
+        }
+
+        // Map container lives right after the table and takes its place
+        this.container = document.createElement('div');
+        this.container.id = 'venueMap-' + this.tableId;
+        this.container.className = 'venue-map-wrapper';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <canvas class="venue-map-canvas" role="img"></canvas>
+            <ol class="venue-map-list"></ol>
+            <p class="venue-map-note" hidden></p>
+        `;
+        this.tableWrapper.after(this.container);
+
+        this.canvas = this.container.querySelector('canvas');
+        this.list = this.container.querySelector('.venue-map-list');
+        this.note = this.container.querySelector('.venue-map-note');
+    }
+
+    attachEventListeners() {
+        this.toggleButton.addEventListener('click', () => {
+            this.setVisible(!this.isVisible);
+        });
+
+        // Search results, sorting and the mobile filter all redraw the table
+        window.addEventListener('tableDataChange', (e) => {
+            if (this.isVisible && e.detail.tableId === this.tableId) {
+                this.render();
+            }
+        });
+
+        // Only one view replaces the table at a time
+        window.addEventListener('classViewChange', (e) => {
+            if (this.isVisible && e.detail.tableId === this.tableId && e.detail.view !== 'map') {
+                this.setVisible(false);
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.isVisible) this.render();
+        });
+
+        // Clicking a marker brings its venue's entry into view
+        this.canvas.addEventListener('click', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            const marker = this.markers.find(m => Math.hypot(m.x - x, m.y - y) <= m.radius + 4);
+            if (!marker) return;
+
+            Array.from(this.list.children).forEach((item, index) => {
+                item.classList.toggle('venue-map-selected', index === marker.number - 1);
+            });
+            this.list.children[marker.number - 1].scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    setVisible(visible) {
+        if (visible) {
+            window.dispatchEvent(new CustomEvent('classViewChange', {
+                detail: { tableId: this.tableId, view: 'map' }
+            }));
+        }
+
+        this.isVisible = visible;
+        this.container.hidden = !visible;
+        this.tableWrapper.hidden = visible;
+        this.toggleButton.setAttribute('aria-pressed', String(visible));
+        this.toggleButton.textContent = visible ? 'List view' : 'Map view';
+
+        if (visible) {
+            this.render();
+        }
+    }
+
+    render() {
+        const { places, elsewhere } = groupRecordsByVenue(this.classTable.getShownRecords());
+
+        this.list.innerHTML = places.map(place => this.renderPlace(place)).join('');
+
+        const notes = [];
+        if (places.length === 0) {
+            notes.push('No classes with a set venue match the current filter.');
+        }
+        if (places.some(place => place.venue.private)) {
+            notes.push('Hollow circles mark the neighborhood of venues whose address is given to enrollees.');
+        }
+        if (elsewhere.length > 0) {
+            const links = elsewhere.map(item => `<a href="${resolveClassLink(item.link)}">${item.name}</a>`).join(', ');
+            notes.push(`Meeting in different places: ${links}.`);
+        }
+        this.note.innerHTML = notes.join(' ');
+        this.note.hidden = notes.length === 0;
+
+        this.canvas.setAttribute('aria-label', places.length > 0
+            ? `Map of ${places.length} ${places.length === 1 ? 'venue' : 'venues'}, listed below`
+            : 'Empty map');
+        this.draw(places);
+    }
+
+    /**
+     * Build the list entry for one venue
+     * @param {{venue: Object, records: Array<Object>}} place
+     * @returns {string}
+     */
+    renderPlace({ venue, records }) {
+        const classes = records.map(item => `<a href="${resolveClassLink(item.link)}">${item.name}</a>`).join(', ');
+        const accessibility = venue.accessibility
+            ? `<span class="venue-map-accessibility">Accessibility: ${venue.accessibility}</span>`
+            : '';
+        return `
+            <li>
+                <span class="venue-map-place">${formatVenue(venue).replace(',<br>', ', ')}</span>
+                <span class="venue-map-neighborhood">${venue.neighborhood}</span>
+                ${accessibility}
+                <span class="venue-map-classes">${classes}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Draw the numbered venue markers, a scale bar and a north arrow
+     * @param {Array<{venue: Object, records: Array<Object>}>} places - In list order
+     */
+    draw(places) {
+        const width = this.container.clientWidth || 600;
+        const height = VENUE_MAP_HEIGHT;
+        const ratio = window.devicePixelRatio || 1;
+
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = VENUE_MAP_COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+        this.markers = [];
+        if (places.length === 0) return;
+
+        const { project, pxPerMile } = fitProjection(places.map(place => place.venue.coordinates), width, height);
+
+        ctx.font = '12px "Space Mono", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        places.forEach((place, index) => {
+            const { x, y } = project(place.venue.coordinates);
+            // Bigger markers for venues with more classes
+            const radius = Math.min(10 + 2 * (place.records.length - 1), 18);
+            const number = index + 1;
+
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            if (place.venue.private) {
+                ctx.fillStyle = VENUE_MAP_COLORS.background;
+                ctx.fill();
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = VENUE_MAP_COLORS.marker;
+                ctx.stroke();
+                ctx.fillStyle = VENUE_MAP_COLORS.marker;
+            } else {
+                ctx.fillStyle = VENUE_MAP_COLORS.marker;
+                ctx.fill();
+                ctx.fillStyle = VENUE_MAP_COLORS.label;
+            }
+            ctx.fillText(String(number), x, y);
+
+            this.markers.push({ x: x, y: y, radius: radius, number: number });
+        });
+
+        this.drawScale(ctx, pxPerMile, height);
+        this.drawNorth(ctx, width);
+    }
+
+    /**
+     * Scale bar in the bottom left corner, a round number of miles long
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} pxPerMile
+     * @param {number} height - px
+     */
+    drawScale(ctx, pxPerMile, height) {
+        const miles = [0.5, 1, 2, 5, 10].find(m => m * pxPerMile >= 60) || 10;
+        const length = miles * pxPerMile;
+        const x = 12;
+        const y = height - 16;
+
+        ctx.strokeStyle = VENUE_MAP_COLORS.text;
+        ctx.fillStyle = VENUE_MAP_COLORS.text;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 4);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + length, y);
+        ctx.lineTo(x + length, y - 4);
+        ctx.stroke();
+
+        ctx.textAlign = 'left';
+        ctx.fillText(`${miles} ${miles === 1 ? 'mile' : 'miles'}`, x, y - 12);
+    }
+
+    /**
+     * North arrow in the top right corner
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width - px
+     */
+    drawNorth(ctx, width) {
+        const x = width - 20;
+
+        ctx.fillStyle = VENUE_MAP_COLORS.text;
+        ctx.beginPath();
+        ctx.moveTo(x, 12);
+        ctx.lineTo(x + 6, 28);
+        ctx.lineTo(x - 6, 28);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.textAlign = 'center';
+        ctx.fillText('N', x, 40);
+    }
+}
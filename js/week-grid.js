@@ -0,0 +1,311 @@
+'use strict';
+
+/**
+ * Week Grid View for Praxis Community University
+ * Shows the classes in a term table as blocks on a Monday-Sunday grid so
+ * overlapping schedules stand out. Follows the table's search and mobile
+ * class filter through the tableDataChange event from table-utils.js.
+ */
+
+const WEEK_GRID_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const WEEK_GRID_HOUR_HEIGHT = 48; // px per hour
+const WEEK_GRID_DEFAULT_HOURS = { first: 9, last: 21 };
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time
+ * @returns {number}
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether two sorted date lists share a date
+ * @param {Array<string>} aDates
+ * @param {Array<string>} bDates
+ * @returns {boolean}
+ */
+function sharesDate(aDates, bDates) {
+    const lookup = new Set(aDates);
+    return bDates.some(date => lookup.has(date));
+}
+
+class WeekGrid {
+    /**
+     * @param {ClassTable} classTable - The table whose shown rows are drawn
+     */
+    constructor(classTable) {
+        this.classTable = classTable;
+        this.tableId = classTable.tableId;
+        this.isVisible = false;
+        this.init();
+    }
+
+    init() {
+        const table = document.getElementById(this.tableId);
+        this.tableWrapper = table ? table.closest('.table-wrapper') : null;
+        if (!this.tableWrapper) {
+            console.warn(`Table with ID "${this.tableId}" not found`);
+            return;
+        }
+
+        this.createElements();
+        this.attachEventListeners();
+    }
+
+    createElements() {
+        // Toggle button sits with the search box
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.type = 'button';
+        this.toggleButton.className = 'controls-button week-grid-toggle';
+        this.toggleButton.setAttribute('aria-pressed', 'false');
+        this.toggleButton.textContent = 'Week view';
+
+        const controls = document.querySelector('.controls');
+        if (controls) {
+            controls.appendChild(this.toggleButton);
+        } else {
+            this.tableWrapper.parentNode.insertBefore(this.toggleButton, this.tableWrapper);
+        }
+
+        // Grid container lives right after the table and takes its place
+        this.container = document.createElement('div');
+        this.container.id = 'weekGrid-' + this.tableId;
+        this.container.className = 'week-grid-wrapper';
+        this.container.hidden = true;
+        this.tableWrapper.after(this.container);
+    }
+
+    attachEventListeners() {
+        this.toggleButton.addEventListener('click', () => {
+            this.setVisible(!this.isVisible);
+        });
+
+        // Search results, sorting and the mobile filter all redraw the table
+        window.addEventListener('tableDataChange', (e) => {
+            if (this.isVisible && e.detail.tableId === this.tableId) {
+                this.render();
+            }
+        });
+
+        // Only one view replaces the table at a time
+        window.addEventListener('classViewChange', (e) => {
+            if (this.isVisible && e.detail.tableId === this.tableId && e.detail.view !== 'week') {
+                this.setVisible(false);
+            }
+        });
+    }
+
+    setVisible(visible) {
+        if (visible) {
+            window.dispatchEvent(new CustomEvent('classViewChange', {
+                detail: { tableId: this.tableId, view: 'week' }
+            }));
+        }
+
+        this.isVisible = visible;
+        this.container.hidden = !visible;
+        this.tableWrapper.hidden = visible;
+        this.toggleButton.setAttribute('aria-pressed', String(visible));
+        this.toggleButton.textContent = visible ? 'List view' : 'Week view';
+
+        if (visible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Turn the shown classes into grid blocks, one per weekday and time slot
+     * @returns {{slots: Array<Object>, unplaced: Array<Object>}}
+     */
+    collectSlots() {
+        const slots = [];
+        const unplaced = [];
+
+        this.classTable.getShownRecords().forEach(item => {
+            const schedule = item.schedule || {};
+            const itemSlots = [];
+
+            (schedule.weekly || []).forEach(pattern => {
+                const meetings = expandSchedule({ weekly: [pattern], skip: schedule.skip });
+                pattern.days.forEach(day => {
+                    const dates = meetings
+                        .map(meeting => meeting.date)
+                        .filter(date => WEEKDAY_CODES[weekdayOf(date)] === day);
+                    if (dates.length === 0) return;
+
+                    itemSlots.push({
+                        item: item,
+                        day: day,
+                        start: pattern.start,
+                        end: pattern.end,
+                        dates: dates,
+                        dateLabel: formatDateRange(dates[0], dates[dates.length - 1])
+                    });
+                });
+            });
+
+            (schedule.extra || []).forEach(session => {
+                if (!session.start) return;
+                itemSlots.push({
+                    item: item,
+                    day: WEEKDAY_CODES[weekdayOf(session.date)],
+                    start: session.start,
+                    // One-off sessions without an end time get an hour on the grid
+                    end: session.end || null,
+                    dates: [session.date],
+                    dateLabel: formatShortDate(session.date)
+                });
+            });
+
+            if (itemSlots.length === 0) {
+                unplaced.push(item);
+            }
+            slots.push(...itemSlots);
+        });
+
+        slots.forEach(slot => {
+            slot.startMinutes = timeToMinutes(slot.start);
+            slot.endMinutes = slot.end ? timeToMinutes(slot.end) : slot.startMinutes + 60;
+        });
+
+        return { slots, unplaced };
+    }
+
+    /**
+     * Place overlapping blocks side by side and flag real conflicts:
+     * same weekday, overlapping times and at least one shared date
+     * @param {Array<Object>} daySlots - Slots for one weekday
+     */
+    layoutDay(daySlots) {
+        daySlots.sort((a, b) => a.startMinutes - b.startMinutes || a.endMinutes - b.endMinutes);
+
+        let cluster = [];
+        let clusterEnd = -1;
+        const closeCluster = () => {
+            const laneCount = Math.max(...cluster.map(slot => slot.lane + 1));
+            cluster.forEach(slot => { slot.laneCount = laneCount; });
+        };
+
+        daySlots.forEach(slot => {
+            if (cluster.length > 0 && slot.startMinutes >= clusterEnd) {
+                closeCluster();
+                cluster = [];
+                clusterEnd = -1;
+            }
+
+            // First lane whose last block has ended
+            const busyLanes = cluster
+                .filter(other => other.endMinutes > slot.startMinutes)
+                .map(other => other.lane);
+            let lane = 0;
+            while (busyLanes.includes(lane)) lane++;
+            slot.lane = lane;
+
+            slot.conflicts = [];
+            cluster.forEach(other => {
+                if (other.item !== slot.item &&
+                    other.endMinutes > slot.startMinutes &&
+                    sharesDate(other.dates, slot.dates)) {
+                    other.conflicts.push(slot);
+                    slot.conflicts.push(other);
+                }
+            });
+
+            cluster.push(slot);
+            clusterEnd = Math.max(clusterEnd, slot.endMinutes);
+        });
+
+        if (cluster.length > 0) {
+            closeCluster();
+        }
+    }
+
+    render() {
+        const { slots, unplaced } = this.collectSlots();
+
+        let firstHour = WEEK_GRID_DEFAULT_HOURS.first;
+        let lastHour = WEEK_GRID_DEFAULT_HOURS.last;
+        if (slots.length > 0) {
+            firstHour = Math.floor(Math.min(...slots.map(slot => slot.startMinutes)) / 60);
+            lastHour = Math.ceil(Math.max(...slots.map(slot => slot.endMinutes)) / 60);
+        }
+        const bodyHeight = (lastHour - firstHour) * WEEK_GRID_HOUR_HEIGHT;
+
+        const hourLabels = [];
+        for (let hour = firstHour; hour < lastHour; hour++) {
+            const clock = formatClock(`${String(hour).padStart(2, '0')}:00`);
+            hourLabels.push(`<div class="week-grid-hour" style="height: ${WEEK_GRID_HOUR_HEIGHT}px">${clock.clock}${clock.suffix}</div>`);
+        }
+
+        const dayColumns = WEEK_GRID_DAYS.map(day => {
+            const daySlots = slots.filter(slot => slot.day === day);
+            this.layoutDay(daySlots);
+            const blocks = daySlots.map(slot => this.renderSlot(slot, firstHour)).join('');
+            return `<div class="week-grid-day" data-day="${day}" style="height: ${bodyHeight}px">${blocks}</div>`;
+        }).join('');
+
+        const dayHeaders = WEEK_GRID_DAYS
+            .map(day => `<div class="week-grid-day-name">${WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(day)].slice(0, 3)}</div>`)
+            .join('');
+
+        const hasConflicts = slots.some(slot => slot.conflicts.length > 0);
+        const notes = [];
+        if (slots.length === 0) {
+            notes.push('No classes with set times match the current filter.');
+        }
+        if (hasConflicts) {
+            notes.push('Classes outlined in red meet at the same time as another class on at least one date.');
+        }
+        if (unplaced.length > 0) {
+            const links = unplaced.map(item => `<a href="${resolveClassLink(item.link)}">${item.name}</a>`).join(', ');
+            notes.push(`Times to be announced: ${links}.`);
+        }
+
+        this.container.innerHTML = `
+            <div class="week-grid" role="region" aria-label="Weekly schedule">
+                <div class="week-grid-header">
+                    <div></div>
+                    ${dayHeaders}
+                </div>
+                <div class="week-grid-body">
+                    <div class="week-grid-times">${hourLabels.join('')}</div>
+                    ${dayColumns}
+                </div>
+            </div>
+            ${notes.map(note => `<p class="week-grid-note">${note}</p>`).join('')}
+        `;
+    }
+
+    /**
+     * Build the HTML for one class block
+     * @param {Object} slot - Slot with lane layout from layoutDay
+     * @param {number} firstHour - Hour at the top of the grid
+     * @returns {string}
+     */
+    renderSlot(slot, firstHour) {
+        const top = (slot.startMinutes - firstHour * 60) / 60 * WEEK_GRID_HOUR_HEIGHT;
+        const height = (slot.endMinutes - slot.startMinutes) / 60 * WEEK_GRID_HOUR_HEIGHT;
+        const width = 100 / slot.laneCount;
+        const timeLabel = formatTimeRange(slot.start, slot.end);
+
+        let className = 'week-grid-event';
+        let title = `${timeLabel}, ${slot.dateLabel}`;
+        if (slot.conflicts.length > 0) {
+            className += ' week-grid-conflict';
+            const names = slot.conflicts.map(other => other.item.name.replace(/<[^>]*>/g, ''));
+            title += ` (overlaps with ${[...new Set(names)].join(', ')})`;
+        }
+
+        return `
+            <a class="${className}" href="${resolveClassLink(slot.item.link)}" title="${title.replace(/"/g, '&quot;')}"
+               style="top: ${top}px; height: ${height}px; left: ${slot.lane * width}%; width: ${width}%">
+                <span class="week-grid-event-name">${slot.item.name}</span>
+                <span class="week-grid-event-time">${timeLabel}</span>
+                <span class="week-grid-event-dates">${slot.dateLabel}</span>
+            </a>
+        `;
+    }
+}
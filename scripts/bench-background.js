@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Background Animation Benchmark for Praxis San Diego
+ * Times frames of the background engine (js/background-animation.js) with
+ * each mesh at several window sizes, headless against a mock canvas that
+ * only counts draw calls. Meshes with local edges are also timed with the
+ * pairwise scan and one stroke per edge they used before SpatialGrid and
+ * EdgeBatch, on the same frames, and both ways must draw the same edges.
+ *
+ * The mock canvas draws nothing, so the times are the script's share of a
+ * frame: finding edges and issuing draw calls. In a browser every stroke
+ * also has to be rendered, which is what batching saves; the strokes
+ * columns count them.
+ *
+ * Usage: node scripts/bench-background.js [--frames 200] [--mesh small-world] [--size 3840x1600]
+ *   --frames  Frames timed per run (after 20 warm-up frames)
+ *   --mesh    Only this mesh (default: every registered mesh)
+ *   --size    Only this window size (default: 1440x900, 1920x1080, 2560x1440, 3840x1600 and 5120x1440)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { performance } = require('perf_hooks');
+const { ROOT } = require('./lib/terms');
+
+const SCRIPTS = ['js/background-animation.js', 'js/background-meshes.js'];
+const SIZES = ['1440x900', '1920x1080', '2560x1440', '3840x1600', '5120x1440'];
+const WARM_UP_FRAMES = 20;
+
+/**
+ * Read the command line
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{frames: number, mesh: ?string, sizes: Array<string>}}
+ */
+function parseArgs(args) {
+    const options = { frames: 200, mesh: null, sizes: SIZES };
+
+    for (let i = 0; i < args.length; i++) {
+        if (!['--frames', '--mesh', '--size'].includes(args[i])) {
+            throw new Error(`Unknown option ${args[i]}`);
+        }
+        if (!args[i + 1]) throw new Error(`${args[i]} needs a value`);
+        const value = args[++i];
+
+        if (args[i - 1] === '--frames') {
+            options.frames = Number(value);
+            if (!Number.isInteger(options.frames) || options.frames < 1) {
+                throw new Error(`--frames should be a positive whole number, not "${value}"`);
+            }
+        } else if (args[i - 1] === '--mesh') {
+            options.mesh = value;
+        } else {
+            if (!/^\d+x\d+$/.test(value)) throw new Error(`--size should look like 3840x1600, not "${value}"`);
+            options.sizes = [value];
+        }
+    }
+    return options;
+}
+
+/**
+ * A 2D context that draws nothing and counts what it's asked to do
+ * @returns {Object}
+ */
+function createMockContext() {
+    const counts = { stroke: 0, lineTo: 0, fill: 0 };
+    const ignore = () => {};
+    return {
+        counts: counts,
+        clearRect: ignore,
+        beginPath: ignore,
+        moveTo: ignore,
+        arc: ignore,
+        lineTo: () => counts.lineTo++,
+        stroke: () => counts.stroke++,
+        fill: () => counts.fill++
+    };
+}
+
+/**
+ * Run a fresh copy of the background scripts as the worker does, without a page.
+ * They run wrapped in a function rather than in a vm context: a context's
+ * globals are slow to look up, which would slow the engine down but not
+ * the pairwise scan below.
+ * @returns {{BackgroundEngine: Function, BACKGROUND_MESHES: Object}}
+ */
+function loadBackgroundScripts() {
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+    const load = vm.runInThisContext(
+        `(function (requestAnimationFrame) {\n${source}\nreturn { BackgroundEngine, BACKGROUND_MESHES };\n})`,
+        { filename: SCRIPTS.join(' + ') }
+    );
+    // The benchmark calls frame() itself
+    return load(() => 1);
+}
+
+/**
+ * The pairwise scan the meshes used before SpatialGrid and EdgeBatch:
+ * every shown pair is measured, every edge is its own path, and a node
+ * without an edge looks through every node for its nearest one
+ * @param {Object} mesh
+ * @param {Object} ctx
+ * @param {Array<Object>} nodes
+ */
+function drawEdgesPairwise(mesh, ctx, nodes) {
+    const strokeEdge = (a, b, opacity) => {
+        // Fading shortcuts can be too faint to see; EdgeBatch leaves those out
+        if (Math.round(opacity * 100) <= 0) return;
+        ctx.strokeStyle = `rgba(0, 0, 0, ${opacity})`;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+    };
+    const threshold = mesh.spacing * 1.5;
+    const shown = nodes.filter(node => node.opacity > 0);
+    const connected = new Set();
+
+    for (let i = 0; i < shown.length; i++) {
+        for (let j = i + 1; j < shown.length; j++) {
+            const dist = Math.sqrt(Math.pow(shown[j].x - shown[i].x, 2) + Math.pow(shown[j].y - shown[i].y, 2));
+            if (dist >= threshold) continue;
+            const opacity = Math.min(shown[i].opacity, shown[j].opacity) * 0.2;
+            strokeEdge(shown[i], shown[j], opacity);
+            if (opacity > 0.1) {
+                connected.add(shown[i].id);
+                connected.add(shown[j].id);
+            }
+        }
+    }
+    if (!mesh.shortcuts) return;
+
+    mesh.shortcuts.forEach(shortcut => {
+        const source = nodes[shortcut.sourceId];
+        const target = nodes[shortcut.targetId];
+        if (source.opacity === 0 || target.opacity === 0) return;
+        const opacity = Math.min(source.opacity, target.opacity) * 0.2 * shortcut.opacity;
+        strokeEdge(source, target, opacity);
+        if (opacity > 0.05) {
+            connected.add(source.id);
+            connected.add(target.id);
+        }
+    });
+
+    shown.forEach(node => {
+        if (connected.has(node.id) || node.opacity <= 0.3) return;
+        let nearest = null;
+        let nearestDist = Infinity;
+        shown.forEach(other => {
+            const dist = Math.sqrt(Math.pow(other.x - node.x, 2) + Math.pow(other.y - node.y, 2));
+            if (other.id !== node.id && dist < nearestDist) {
+                nearestDist = dist;
+                nearest = other;
+            }
+        });
+        if (nearest) strokeEdge(node, nearest, Math.min(node.opacity, nearest.opacity) * 0.2);
+    });
+}
+
+/**
+ * Time frames of one engine
+ * @param {Object} engine - BackgroundEngine
+ * @param {number} frames
+ * @returns {{msPerFrame: number, strokesPerFrame: number}}
+ */
+function timeFrames(engine, frames) {
+    for (let i = 0; i < WARM_UP_FRAMES; i++) engine.frame();
+
+    engine.ctx.counts.stroke = 0;
+    const start = performance.now();
+    for (let i = 0; i < frames; i++) engine.frame();
+    const elapsed = performance.now() - start;
+
+    return { msPerFrame: elapsed / frames, strokesPerFrame: engine.ctx.counts.stroke / frames };
+}
+
+/**
+ * Count the edges a drawEdges draws for the engine's current frame
+ * @param {Function} drawEdges - (ctx, nodes)
+ * @param {Array<Object>} nodes
+ * @returns {number}
+ */
+function countEdges(drawEdges, nodes) {
+    const ctx = createMockContext();
+    drawEdges(ctx, nodes);
+    return ctx.counts.lineTo;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const problems = [];
+    const rows = [];
+
+    options.sizes.forEach(size => {
+        const [width, height] = size.split('x').map(Number);
+        const { BackgroundEngine, BACKGROUND_MESHES } = loadBackgroundScripts();
+
+        const meshes = options.mesh ? [options.mesh] : Object.keys(BACKGROUND_MESHES);
+        meshes.forEach(name => {
+            if (!BACKGROUND_MESHES[name]) {
+                problems.push(`Unknown mesh "${name}" (use ${Object.keys(BACKGROUND_MESHES).join(', ')})`);
+                return;
+            }
+
+            const canvas = { width: 0, height: 0, getContext: () => createMockContext() };
+            const engine = new BackgroundEngine(canvas, BACKGROUND_MESHES[name], {
+                width: width,
+                height: height,
+                visible: true,
+                paused: false,
+                reducedMotion: false,
+                menuWidth: 0
+            });
+            const row = { size: size, mesh: name, nodes: engine.nodes.length };
+            Object.assign(row, timeFrames(engine, options.frames));
+
+            // Only meshes that look for nearby nodes every frame had a pairwise scan
+            if (engine.mesh.edges === undefined) {
+                const gridEdges = countEdges((ctx, nodes) => engine.mesh.drawEdges(ctx, nodes), engine.nodes);
+                const pairwiseEdges = countEdges((ctx, nodes) => drawEdgesPairwise(engine.mesh, ctx, nodes), engine.nodes);
+                if (gridEdges !== pairwiseEdges) {
+                    problems.push(`${name} at ${size}: the grid drew ${gridEdges} edges, the pairwise scan ${pairwiseEdges}`);
+                }
+
+                engine.mesh.drawEdges = (ctx, nodes) => drawEdgesPairwise(engine.mesh, ctx, nodes);
+                row.pairwise = timeFrames(engine, options.frames);
+            }
+            rows.push(row);
+        });
+    });
+
+    console.log('size       mesh          nodes   ms/frame  strokes   pairwise ms/frame  strokes   speedup');
+    rows.forEach(row => {
+        const pairwise = row.pairwise
+            ? `${row.pairwise.msPerFrame.toFixed(2).padStart(17)}  ${row.pairwise.strokesPerFrame.toFixed(0).padStart(7)}   ${(row.pairwise.msPerFrame / row.msPerFrame).toFixed(1)}x`
+            : `${'-'.padStart(17)}  ${'-'.padStart(7)}   -`;
+        console.log([
+            row.size.padEnd(10),
+            row.mesh.padEnd(12),
+            String(row.nodes).padStart(6),
+            row.msPerFrame.toFixed(2).padStart(9),
+            row.strokesPerFrame.toFixed(0).padStart(7)
+        ].join('  ') + '   ' + pairwise);
+    });
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Class Page Generator for Praxis Community University
+ * Builds every class page from its record in data/terms/<term>.json and a
+ * content file, content/classes/<term>/<page>.html (or .md). The record
+ * supplies the title, schedule, location and description; the content file
+ * supplies the page body and, in its front matter:
+ *
+ *   contact:     Address for questions (required), e.g. praxissandiego@gmail.com
+ *   subject:     Tag to put in the email subject, e.g. NVC Primer (defaults to the name)
+ *   application: Note passed to the application form, e.g. Apply by July 27
+ *   price:       HTML for a Price line in the info box
+ *   when:        HTML for the Schedule line, for details the record's schedule
+ *                can't hold (defaults to the record's when)
+ *   where:       HTML for the Location line, e.g. a different place each
+ *                session (defaults to the record's where)
+ *   description: Text for search engines and link previews (defaults to the
+ *                record's description)
+ *   image:       Link preview image URL
+ *
+ * A <style> block at the very top of the body goes into the page head, as
+ * does schema.org structured data describing the class (scripts/lib/structured-data.js).
+ * Runs of the same course (records sharing a "series") link to each other.
+ * Pages are written under university/classes/. The old classes/ tree is
+ * made of redirect stubs (scripts/build-redirects.js).
+ *
+ * Usage: node scripts/build-class-pages.js [--check]
+ *   --check  Write nothing; exit with status 1 if any page is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadTermRegistry, loadTermClasses } = require('./lib/terms');
+const { readContentFile } = require('./lib/content');
+const { SITE_URL, escapeHtml } = require('./lib/site');
+const { describeClass, renderJsonLd } = require('./lib/structured-data');
+const { resolveClassLink, termRowId, htmlToPlainText } = require('../js/terms');
+const { renderEmailLink } = require('../js/email-obfuscation');
+
+const CONTENT_DIR = path.join(ROOT, 'content', 'classes');
+const DEFAULT_IMAGE = `${SITE_URL}/images/preview.jpg`;
+
+// Where pages are written and which scripts and pages they link to
+const PAGE_TREES = [
+    {
+        dir: 'university/classes',
+        classPageScript: 'class-page2.js',
+        menuScript: 'menu2.js',
+        currentIndex: '/university/index.html',
+        archive: '/university/classes/archive.html'
+    }
+];
+
+/**
+ * Indent every non-empty line of a block of HTML
+ * @param {string} html
+ * @param {number} spaces
+ * @returns {string}
+ */
+function indent(html, spaces) {
+    const prefix = ' '.repeat(spaces);
+    return html.split('\n').map(line => line.trim() ? prefix + line : '').join('\n');
+}
+
+/**
+ * Find a class's content file
+ * @param {Object} term - Registry entry
+ * @param {string} page - Page name without extension
+ * @returns {?string} - Absolute path, or null if there is none
+ */
+function findContentFile(term, page) {
+    const candidates = ['.html', '.md'].map(ext => path.join(CONTENT_DIR, term.id, page + ext));
+    return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Index every class that belongs to a series by its series, newest term first
+ * @param {Map<Object, Array<Object>>} termClasses - Registry entry -> its records
+ * @returns {Map<string, Array<{term: Object, record: Object}>>}
+ */
+function collectSeries(termClasses) {
+    const series = new Map();
+    termClasses.forEach((records, term) => {
+        records.filter(record => record.series).forEach(record => {
+            if (!series.has(record.series)) series.set(record.series, []);
+            series.get(record.series).push({ term: term, record: record });
+        });
+    });
+    return series;
+}
+
+/**
+ * Build the HTML of one class page
+ * @param {Object} options
+ * @param {Object} options.record - Normalized class record
+ * @param {Object} options.term - Registry entry
+ * @param {boolean} options.isCurrent - Whether the term is the current one
+ * @param {Object} options.tree - Entry of PAGE_TREES
+ * @param {Object} options.content - {data, html} from the content file
+ * @param {string} options.contentPath - Content file, relative to the repository
+ * @param {Array<{term: Object, record: Object}>} options.otherRuns - Other runs of the same course
+ * @returns {string}
+ */
+function renderClassPage({ record, term, isCurrent, tree, content, contentPath, otherRuns }) {
+    const { data } = content;
+    const page = path.basename(record.link, '.html');
+    const name = htmlToPlainText(record.name);
+    const pageTitle = `${name} - Praxis Community University`;
+    const pageUrl = `${SITE_URL}/${tree.dir}/${term.id}/${page}.html`;
+    const description = escapeHtml(data.description || htmlToPlainText(record.description));
+    const image = escapeHtml(data.image || DEFAULT_IMAGE);
+
+    // A leading <style> block belongs in the head
+    let body = content.html;
+    let style = '';
+    const styleMatch = /^<style>[\s\S]*?<\/style>\s*/.exec(body);
+    if (styleMatch) {
+        style = '\n' + indent(styleMatch[0].trim(), 4);
+        body = body.slice(styleMatch[0].length);
+    }
+
+    const backLink = isCurrent
+        ? { text: `← to ${term.name} Classes`, href: `${tree.currentIndex}#${record.id}` }
+        : { text: '← to Class Archive', href: `${tree.archive}#${termRowId(term, record.id)}` };
+
+    if (!data.contact) {
+        throw new Error(`${contentPath}: front matter needs a contact address`);
+    }
+    if (!/^[^\s@]+@[^\s@]+$/.test(data.contact)) {
+        throw new Error(`${contentPath}: contact "${data.contact}" is not an email address`);
+    }
+    const subject = `[${data.subject || name}]`;
+    // Clicking the address fills in the subject line it asks for
+    const emailLink = renderEmailLink(data.contact, { subject: subject });
+
+    const accessibility = record.venueInfo && record.venueInfo.accessibility;
+    const accessibilityItem = accessibility ? `
+                <div class="info-item">
+                    <span class="info-label">Accessibility:</span>
+                    <span class="info-value" id="accessibility">${accessibility}</span>
+                </div>` : '';
+
+    const priceItem = data.price ? `
+                <div class="info-item">
+                    <span class="info-label">Price:</span>
+                    <span class="info-value" id="price">${data.price}</span>
+                </div>` : '';
+
+    const otherRunsItem = otherRuns.length > 0 ? `
+                <div class="info-item">
+                    <span class="info-label">Also offered:</span>
+                    <span class="info-value" id="otherRuns">${otherRuns.map(run =>
+                        `<a href="${escapeHtml(resolveClassLink(run.record.link))}">${escapeHtml(run.term.name)}</a>`).join(', ')}</span>
+                </div>` : '';
+
+    // Filled in by js/class-page2.js for the day the page is viewed
+    const registrationBadge = record.registration || record.registrationDeadline
+        ? '\n                        <span class="registration-badge" id="registrationStatus" hidden></span>'
+        : '';
+    const capacity = (record.registration || {}).capacity;
+    const capacityItem = capacity ? `
+                <div class="info-item">
+                    <span class="info-label">Class size:</span>
+                    <span class="info-value" id="capacity">${capacity} spots</span>
+                </div>` : '';
+
+    if (!term.applicationForm) {
+        throw new Error(`data/terms/index.json: term "${term.id}" has no applicationForm`);
+    }
+    const formClass = data.application ? `${name} (${data.application})` : name;
+    const formUrl = `https://tally.so/embed/${term.applicationForm}?alignLeft=1&hideTitle=1&transparentBackground=1&dynamicHeight=1&class=${encodeURIComponent(formClass)}`;
+
+    return `<!DOCTYPE html>
+<!-- Generated by scripts/build-class-pages.js from ${contentPath}; edit that file and rebuild. -->
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(pageTitle)}, ${escapeHtml(term.name)}</title>
+    <meta name="description" content="${description}">
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${pageUrl}">
+    <meta property="og:title" content="${escapeHtml(pageTitle)}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:image" content="${image}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(pageTitle)}">
+    <meta name="twitter:description" content="${description}">
+    <meta name="twitter:image" content="${image}">
+    <link rel="canonical" href="${pageUrl}">
+    <link rel="icon" href="/favicon.ico">
+    <link href="https://fonts.googleapis.com/css2?family=Space+Mono:wght@400;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/css/main.css">${style}
+${renderJsonLd(describeClass(record, term), 4)}
+</head>
+<body class="class-page">
+    <canvas id="backgroundCanvas" data-mesh="small-world" data-worker></canvas>
+    <button id="animationToggle" type="button" aria-label="Pause background animation" aria-pressed="false">⏻︎</button>
+
+    <div class="container">
+        <header>
+            <div class="header-content">
+                <div>
+                    <h1 id="className">${record.name}</h1>
+                </div>
+            </div>
+            <a href="${backLink.href}" class="back-link" id="backLink">${backLink.text}</a>
+        </header>
+
+        <div class="class-info-box">
+            <div class="info-grid">
+                <div class="info-item">
+                    <span class="info-label">Schedule:</span>
+                    <span class="info-value" id="when">${data.when || record.when}</span>
+                </div>
+                <div class="info-item">
+                    <span class="info-label">Location:</span>
+                    <span class="info-value" id="where">${data.where || record.where}</span>
+                </div>${accessibilityItem}${priceItem}
+                <div class="info-item">
+                    <span class="info-label">Apply:</span>
+                    <span class="info-value">
+                        <a href="#apply" class="signup-link">Click here</a>${registrationBadge}
+                    </span>
+                </div>${capacityItem}
+                <div class="info-item">
+                    <span class="info-label">Questions?</span>
+                    <span class="info-value"><div class="email">Please email
+                        ${emailLink} and include ${escapeHtml(subject)} in the subject line.</div>
+                    </span>
+                </div>${otherRunsItem}
+            </div>
+        </div>
+
+        <div class="custom-content">
+${indent(body.trim(), 12)}
+        </div>
+
+        <div class="application-section" id="apply">
+            <h2>Apply</h2>
+            <p>Want to join? Fill out the application form below!</p>
+
+            <div class="form-embed" id="formContainer">
+                <iframe
+                    src="${formUrl}"
+                    width="100%"
+                    height="600"
+                    frameborder="0"
+                    marginheight="0"
+                    marginwidth="0"
+                    title="Application Form">
+                </iframe>
+                <script>var d=document,w="https://tally.so/widgets/embed.js",v=function(){"undefined"!=typeof Tally?Tally.loadEmbeds():d.querySelectorAll("iframe[data-tally-src]:not([src])").forEach((function(e){e.src=e.dataset.tallySrc}))};if("undefined"!=typeof Tally)v();else if(d.querySelector('script[src="'+w+'"]')==null){var s=d.createElement("script");s.src=w,s.onload=v,s.onerror=v,d.body.appendChild(s);}</script>
+            </div>
+        </div>
+    </div>
+
+    <script src="/js/email-obfuscation.js"></script>
+    <script src="/js/schedule.js"></script>
+    <script src="/js/terms.js"></script>
+    <script src="/js/ical.js"></script>
+    <script src="/js/${tree.classPageScript}"></script>
+    <script src="/js/background-animation.js"></script>
+    <script src="/js/background-meshes.js"></script>
+    <script src="/js/${tree.menuScript}"></script>
+    <script>
+        document.addEventListener('DOMContentLoaded', () => {
+            loadAndPopulateClassPage(
+                ${JSON.stringify(record.name)},
+                ${JSON.stringify(term.name)}
+            );
+            initFormHandler();
+        });
+    </script>
+</body>
+</html>
+`;
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const registry = loadTermRegistry();
+    const problems = [];
+    const stale = [];
+    const usedContent = new Set();
+    let pageCount = 0;
+
+    const termClasses = new Map(registry.all.map(term => [term, loadTermClasses(term)]));
+    const series = collectSeries(termClasses);
+
+    termClasses.forEach((records, term) => {
+        const isCurrent = term === registry.current;
+
+        records.forEach(record => {
+            // External links have no page of ours to build
+            if (/^https?:\/\//.test(record.link)) return;
+
+            const page = path.basename(record.link, '.html');
+            const contentFile = findContentFile(term, page);
+            if (!contentFile) {
+                problems.push(`${term.id}/${page}: no content file in content/classes/${term.id}/`);
+                return;
+            }
+            usedContent.add(contentFile);
+            const contentPath = path.relative(ROOT, contentFile);
+
+            try {
+                const content = readContentFile(contentFile);
+                const otherRuns = (series.get(record.series) || []).filter(run => run.record !== record);
+                PAGE_TREES.forEach(tree => {
+                    const outFile = path.join(ROOT, tree.dir, term.id, `${page}.html`);
+                    const html = renderClassPage({ record, term, isCurrent, tree, content, contentPath, otherRuns });
+                    const existing = fs.existsSync(outFile) ? fs.readFileSync(outFile, 'utf8') : null;
+                    pageCount++;
+
+                    if (html === existing) return;
+                    stale.push(path.relative(ROOT, outFile));
+                    if (!checkOnly) {
+                        fs.mkdirSync(path.dirname(outFile), { recursive: true });
+                        fs.writeFileSync(outFile, html);
+                    }
+                });
+            } catch (error) {
+                problems.push(error.message);
+            }
+        });
+    });
+
+    // Content without a record is never published
+    if (fs.existsSync(CONTENT_DIR)) {
+        fs.readdirSync(CONTENT_DIR).forEach(termId => {
+            fs.readdirSync(path.join(CONTENT_DIR, termId)).forEach(file => {
+                const contentFile = path.join(CONTENT_DIR, termId, file);
+                if (!usedContent.has(contentFile)) {
+                    problems.push(`${path.relative(ROOT, contentFile)} has no class record linking to it`);
+                }
+            });
+        });
+    }
+
+    if (checkOnly && stale.length > 0) {
+        stale.forEach(file => console.error(`${file} is out of date`));
+        problems.push(`${stale.length} page(s) need rebuilding: node scripts/build-class-pages.js`);
+    } else if (!checkOnly) {
+        stale.forEach(file => console.log(`wrote ${file}`));
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${pageCount} class pages ${checkOnly ? 'up to date' : 'built'}`);
+}
+
+main();
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Instructor Page Generator for Praxis Community University
+ * Builds the instructor directory (university/instructors/index.html) and a
+ * page per instructor listing every class they've taught, from
+ * data/instructors.json and the term data. Class records name their
+ * instructors by id in "instructors".
+ *
+ * Rerun after editing the instructor directory or adding classes.
+ *
+ * Usage: node scripts/build-instructor-pages.js [--check]
+ *   --check  Write nothing; exit with status 1 if any page is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadTermRegistry, loadTermClasses, loadInstructors } = require('./lib/terms');
+const { SITE_URL, escapeHtml } = require('./lib/site');
+const { addTermInfo, instructorPageUrl, htmlToPlainText } = require('../js/terms');
+const { CLASS_TABLE_COLUMNS } = require('../js/class-table');
+
+const PAGES_DIR = path.join(ROOT, 'university', 'instructors');
+const DIRECTORY_URL = '/university/instructors/index.html';
+const DEFAULT_IMAGE = `${SITE_URL}/images/preview.jpg`;
+
+// Same columns as the archive; rows carry no ids since a class can repeat across terms
+const CLASS_COLUMNS = ['classInfo', 'instructor', 'schedule', 'term'].map(key => CLASS_TABLE_COLUMNS[key]);
+
+/**
+ * Every class of every term, newest term first and by start date within a term
+ * @returns {Array<Object>}
+ */
+function loadAllClasses() {
+    return loadTermRegistry().all.flatMap(term => {
+        const records = addTermInfo(loadTermClasses(term), term);
+        return records.sort((a, b) => (a.firstDate || '').localeCompare(b.firstDate || ''));
+    });
+}
+
+/**
+ * Render the head and page frame shared by the directory and instructor pages
+ * @param {Object} options
+ * @param {string} options.title - Page title, without the site name
+ * @param {string} options.description - Plain text for search engines and link previews
+ * @param {string} options.url - Site path of the page
+ * @param {string} options.heading - HTML for the <h1>
+ * @param {{text: string, href: string}} options.backLink
+ * @param {string} options.body - HTML inside the container, after the header
+ * @returns {string}
+ */
+function renderPage({ title, description, url, heading, backLink, body }) {
+    const pageTitle = escapeHtml(`${title} - Praxis Community University`);
+    const pageUrl = SITE_URL + url;
+    const metaDescription = escapeHtml(description);
+
+    return `<!DOCTYPE html>
+<!-- Generated by scripts/build-instructor-pages.js from data/instructors.json and the term data; edit those and rebuild. -->
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${pageTitle}</title>
+    <meta name="description" content="${metaDescription}">
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${pageUrl}">
+    <meta property="og:title" content="${pageTitle}">
+    <meta property="og:description" content="${metaDescription}">
+    <meta property="og:image" content="${DEFAULT_IMAGE}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${pageTitle}">
+    <meta name="twitter:description" content="${metaDescription}">
+    <meta name="twitter:image" content="${DEFAULT_IMAGE}">
+    <link rel="canonical" href="${pageUrl}">
+    <link rel="icon" href="/favicon.ico">
+    <link href="https://fonts.googleapis.com/css2?family=Space+Mono:wght@400;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/css/main.css">
+</head>
+<body>
+    <canvas id="backgroundCanvas" data-mesh="small-world" data-worker></canvas>
+    <button id="animationToggle" type="button" aria-label="Pause background animation" aria-pressed="false">⏻︎</button>
+
+    <div class="container">
+        <header>
+            <div class="header-content">
+                <h1>${heading}</h1>
+                <a href="${backLink.href}" class="back-link">${backLink.text}</a>
+            </div>
+        </header>
+${body}
+    </div>
+
+    <script src="/js/schedule.js"></script>
+    <script src="/js/terms.js"></script>
+    <script src="/js/background-animation.js"></script>
+    <script src="/js/background-meshes.js"></script>
+    <script src="/js/menu2.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Names of the terms a list of classes ran in, newest first
+ * @param {Array<Object>} records
+ * @returns {Array<string>}
+ */
+function termNames(records) {
+    return [...new Set(records.map(record => record.term))];
+}
+
+/**
+ * Build the directory page
+ * @param {Array<Object>} instructors
+ * @param {Map<string, Array<Object>>} classesById - Each instructor's classes
+ * @returns {string}
+ */
+function renderDirectory(instructors, classesById) {
+    const sorted = [...instructors].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    const items = sorted.map(instructor => {
+        const classes = classesById.get(instructor.id);
+        const count = `${classes.length} ${classes.length === 1 ? 'class' : 'classes'}`;
+        return `
+                <li class="instructor-entry">
+                    <a href="${instructorPageUrl(instructor.id)}">${escapeHtml(instructor.name)}</a>
+                    <span class="instructor-summary">${count}, ${termNames(classes).join(', ')}</span>
+                </li>`;
+    }).join('');
+
+    return renderPage({
+        title: 'Instructors',
+        description: 'Everyone who has taught at Praxis Community University, and the classes they taught.',
+        url: DIRECTORY_URL,
+        heading: 'Praxis CU Instructors',
+        backLink: { text: '← to Current Term', href: '/university/index.html' },
+        body: `
+        <div class="description">
+            <p>
+                Praxis Community University classes are taught by community members. Here is everyone who has taught with us so far.
+            </p>
+        </div>
+
+        <div class="section">
+            <ul class="instructor-directory">${items}
+            </ul>
+        </div>`
+    });
+}
+
+/**
+ * Build one instructor's page
+ * @param {Object} instructor - Entry of data/instructors.json
+ * @param {Array<Object>} classes - Their classes, newest first
+ * @returns {string}
+ */
+function renderInstructorPage(instructor, classes) {
+    const name = escapeHtml(instructor.name);
+
+    const photo = instructor.photo
+        ? `\n            <img src="${escapeHtml(instructor.photo)}" alt="${name}" class="image-left">`
+        : '';
+    const bio = instructor.bio
+        ? `\n            <p>\n                ${instructor.bio}\n            </p>`
+        : '';
+    const links = (instructor.links || []).length > 0 ? `
+            <ul class="instructor-links">
+${instructor.links.map(link => `                <li><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></li>`).join('\n')}
+            </ul>` : '';
+    const profile = photo || bio || links
+        ? `\n        <div class="instructor-profile">${photo}${bio}${links}\n        </div>\n`
+        : '';
+
+    const rows = classes.map(record => {
+        const cells = CLASS_COLUMNS.map(column => `<td>${column.render(record)}</td>`).join('');
+        // One line per row, as in the prerendered tables
+        return `                    <tr>${cells.replace(/>\s*\n\s*</g, '><').trim()}</tr>`;
+    });
+
+    return renderPage({
+        title: instructor.name,
+        description: instructor.bio
+            ? htmlToPlainText(instructor.bio)
+            : `Classes taught by ${instructor.name} at Praxis Community University.`,
+        url: instructorPageUrl(instructor.id),
+        heading: name,
+        backLink: { text: '← to All Instructors', href: DIRECTORY_URL },
+        body: `${profile}
+        <h2>Classes</h2>
+        <div class="table-wrapper">
+            <table class="table-4col instructor-classes">
+                <thead>
+                    <tr>
+                        <th>Class & Description<br>(Click for Info)</th>
+                        <th>Instructor(s)</th>
+                        <th>Days, Times, and Dates</th>
+                        <th>Term</th>
+                    </tr>
+                </thead>
+                <tbody>
+${rows.join('\n')}
+                </tbody>
+            </table>
+        </div>`
+    });
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const problems = [];
+    const stale = [];
+    let instructors, classes;
+
+    try {
+        instructors = loadInstructors();
+        classes = loadAllClasses();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const classesById = new Map(instructors.map(instructor => [
+        instructor.id,
+        classes.filter(record => (record.instructors || []).includes(instructor.id))
+    ]));
+
+    const pages = new Map([[path.join(PAGES_DIR, 'index.html'), renderDirectory(instructors, classesById)]]);
+    instructors.forEach(instructor => {
+        const taught = classesById.get(instructor.id);
+        if (taught.length === 0) {
+            problems.push(`data/instructors.json: ${instructor.id} has no classes`);
+            return;
+        }
+        pages.set(path.join(PAGES_DIR, `${instructor.id}.html`), renderInstructorPage(instructor, taught));
+    });
+
+    pages.forEach((html, file) => {
+        const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        if (html === existing) return;
+
+        stale.push(path.relative(ROOT, file));
+        if (!checkOnly) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, html);
+        }
+    });
+
+    // Pages of instructors who were renamed or removed would still be served
+    if (fs.existsSync(PAGES_DIR)) {
+        fs.readdirSync(PAGES_DIR)
+            .map(file => path.join(PAGES_DIR, file))
+            .filter(file => !pages.has(file))
+            .forEach(file => problems.push(`${path.relative(ROOT, file)} is not in data/instructors.json; delete it`));
+    }
+
+    if (checkOnly && stale.length > 0) {
+        stale.forEach(file => console.error(`${file} is out of date`));
+        problems.push(`${stale.length} page(s) need rebuilding: node scripts/build-instructor-pages.js`);
+    } else if (!checkOnly) {
+        stale.forEach(file => console.log(`wrote ${file}`));
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${pages.size} instructor pages ${checkOnly ? 'up to date' : 'built'}`);
+}
+
+main();
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Redirect Stub Generator for Praxis Community University
+ * Writes a small page at every old URL in data/redirects.json that sends
+ * readers on to the new URL, keeping any query string and #hash (so
+ * /university.html#apply still lands on the form). Each stub also has a
+ * canonical link, a meta refresh for readers without JavaScript and a
+ * noindex tag.
+ *
+ * A redirect whose "from" ends in "/" moves a whole folder: every page in
+ * the "to" folder gets a stub with the same name in the old one. Redirects
+ * to a page that is itself redirected go straight to the final URL.
+ *
+ * Also checks that no link in the term data or the menus points at a stub;
+ * those should use the new URL.
+ *
+ * Usage: node scripts/build-redirects.js [--check]
+ *   --check  Write nothing; exit with status 1 if any stub is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, readJson, loadTermRegistry, loadTermClasses } = require('./lib/terms');
+const { SITE_URL, escapeHtml, isExternal, urlToFile } = require('./lib/site');
+const { resolveClassLink } = require('../js/terms');
+
+const REDIRECTS_FILE = path.join(ROOT, 'data', 'redirects.json');
+const MENU_FILES = ['js/menu2.js'];
+
+/**
+ * Read data/redirects.json, expanding folder redirects into one per page
+ * @returns {Map<string, {to: string, title: ?string}>} - Keyed by old URL
+ */
+function loadRedirects() {
+    const redirects = new Map();
+
+    readJson(REDIRECTS_FILE).redirects.forEach(({ from, to, title }) => {
+        if (!from || !from.startsWith('/') || !to) {
+            throw new Error(`data/redirects.json: "${from}" → "${to}" needs a site path to move from and a URL to move to`);
+        }
+        if (!from.endsWith('/')) {
+            redirects.set(from, { to: to, title: title || null });
+            return;
+        }
+
+        if (!to.endsWith('/') || isExternal(to)) {
+            throw new Error(`data/redirects.json: folder ${from} must move to a folder of this site`);
+        }
+        const folder = urlToFile(to).replace(/index\.html$/, '');
+        if (!fs.existsSync(folder)) {
+            throw new Error(`data/redirects.json: ${to} does not exist`);
+        }
+        fs.readdirSync(folder)
+            .filter(file => file.endsWith('.html'))
+            .sort()
+            .forEach(file => redirects.set(from + file, { to: to + file, title: title || null }));
+    });
+
+    return redirects;
+}
+
+/**
+ * Follow redirects until reaching a URL that isn't redirected
+ * @param {string} url
+ * @param {Map} redirects - From loadRedirects()
+ * @returns {{to: string, title: ?string}} - The last redirect on the way
+ */
+function finalRedirect(url, redirects) {
+    const seen = [url];
+    let redirect = redirects.get(url);
+    while (redirects.has(redirect.to)) {
+        if (seen.includes(redirect.to)) {
+            throw new Error(`Redirect loop: ${seen.concat(redirect.to).join(' → ')}`);
+        }
+        seen.push(redirect.to);
+        redirect = redirects.get(redirect.to);
+    }
+    return redirect;
+}
+
+/**
+ * Title and description of the page a stub leads to, for its own head
+ * @param {string} target - Final URL
+ * @param {?string} title - Title from the redirect entry, if any
+ * @returns {{title: string, description: ?string}}
+ */
+function readTargetInfo(target, title) {
+    const info = { title: title ? escapeHtml(title) : 'This page has moved', description: null };
+    if (isExternal(target)) return info;
+
+    const html = fs.readFileSync(urlToFile(target), 'utf8');
+    const titleMatch = /<title>([^<]*)<\/title>/.exec(html);
+    const descriptionMatch = /<meta name="description" content="([^"]*)">/.exec(html);
+    if (titleMatch && !title) info.title = titleMatch[1].trim();
+    if (descriptionMatch) info.description = descriptionMatch[1];
+    return info;
+}
+
+/**
+ * Render the stub page for one redirect
+ * @param {string} target - Final URL
+ * @param {{title: string, description: ?string}} info - From readTargetInfo()
+ * @returns {string}
+ */
+function renderStub(target, info) {
+    const href = escapeHtml(target);
+    const canonical = isExternal(target) ? href : SITE_URL + href;
+    const description = info.description
+        ? `\n    <meta name="description" content="${info.description}">`
+        : '';
+
+    return `<!DOCTYPE html>
+<!-- Generated by scripts/build-redirects.js from data/redirects.json; edit that file and rebuild. -->
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${info.title}</title>${description}
+
+    <!-- This page has moved to ${href} -->
+    <link rel="canonical" href="${canonical}">
+    <meta http-equiv="refresh" content="0; url=${href}">
+    <meta name="robots" content="noindex">
+    <link rel="icon" href="/favicon.ico">
+
+    <script>
+        // Instant redirect. Preserves any query string and #hash (e.g. #apply),
+        // and uses replace() so the old URL doesn't clutter browser history.
+        (function () {
+            var target = ${JSON.stringify(target)} + window.location.search + window.location.hash;
+            window.location.replace(target);
+        })();
+    </script>
+</head>
+<body>
+    <p>This page has moved. If you are not redirected automatically,
+       <a href="${href}">click here to go to ${info.title}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Every site link in the term data and the menus, with where it came from
+ * @returns {Array<{url: string, source: string}>}
+ */
+function collectInternalLinks() {
+    const links = [];
+
+    loadTermRegistry().all.forEach(term => {
+        loadTermClasses(term).forEach(record => {
+            if (!record.link) return;
+            links.push({ url: resolveClassLink(record.link), source: `data/terms/${term.id}.json (${record.id})` });
+        });
+    });
+
+    MENU_FILES.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const match of source.matchAll(/href:\s*'([^']+)'/g)) {
+            links.push({ url: match[1], source: file });
+        }
+    });
+
+    return links.filter(link => link.url.startsWith('/'));
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const problems = [];
+    const stale = [];
+    let redirects;
+
+    try {
+        redirects = loadRedirects();
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    [...redirects.keys()].forEach(from => {
+        try {
+            const { to: target, title } = finalRedirect(from, redirects);
+            if (!isExternal(target) && !fs.existsSync(urlToFile(target))) {
+                throw new Error(`${from} → ${target}: ${target} does not exist`);
+            }
+
+            const outFile = urlToFile(from);
+            const html = renderStub(target, readTargetInfo(target, title));
+            const existing = fs.existsSync(outFile) ? fs.readFileSync(outFile, 'utf8') : null;
+            if (html === existing) return;
+
+            stale.push(path.relative(ROOT, outFile));
+            if (!checkOnly) {
+                fs.mkdirSync(path.dirname(outFile), { recursive: true });
+                fs.writeFileSync(outFile, html);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    });
+
+    // Links we control should skip the extra hop
+    collectInternalLinks().forEach(({ url, source }) => {
+        const pathname = url.replace(/[?#].*$/, '');
+        if (redirects.has(pathname)) {
+            problems.push(`${source} links to ${url}, which redirects to ${redirects.get(pathname).to}`);
+        }
+    });
+
+    if (checkOnly && stale.length > 0) {
+        stale.forEach(file => console.error(`${file} is out of date`));
+        problems.push(`${stale.length} stub(s) need rebuilding: node scripts/build-redirects.js`);
+    } else if (!checkOnly) {
+        stale.forEach(file => console.log(`wrote ${file}`));
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${redirects.size} redirect stubs ${checkOnly ? 'up to date' : 'built'}`);
+}
+
+main();
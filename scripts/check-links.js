@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Internal Link Checker for Praxis Community University
+ * Resolves, offline, every link the site builds and reports any that don't
+ * lead to a file in the repository, or, for links with a #fragment, to an
+ * element with that id on the page. It checks:
+ *
+ *   - each term's class links, as resolveClassLink() builds them for the
+ *     class tables, week grid, menus and class pages
+ *   - the back link from each class page to the class's row
+ *     (/university/index.html#id in the current term,
+ *     /university/classes/archive.html#<term>-id in archived ones)
+ *   - the menus' fixed links
+ *   - every href and src in the site's HTML pages
+ *
+ * Links off the site aren't followed.
+ *
+ * Usage: node scripts/check-links.js
+ * Exits with status 1 if any link is broken.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadTermRegistry, loadTermClasses } = require('./lib/terms');
+const { SITE_URL, isExternal, urlToFile, fileToUrl } = require('./lib/site');
+const { resolveClassLink, termRowId } = require('../js/terms');
+
+const MENU_FILES = ['js/menu2.js'];
+// Content files are only page bodies; their links are checked in the built pages
+const SKIPPED_DIRS = ['content'];
+
+// Must match the back links in js/class-page2.js
+const CURRENT_INDEX = '/university/index.html';
+const ARCHIVE_INDEX = '/university/classes/archive.html';
+
+/**
+ * Ids of the elements on a page, read once per file
+ * @type {Map<string, Set<string>>}
+ */
+const pageIds = new Map();
+
+/**
+ * Ids of the elements on a page
+ * @param {string} file - Absolute path to an HTML file
+ * @returns {Set<string>}
+ */
+function idsOnPage(file) {
+    if (!pageIds.has(file)) {
+        const html = fs.readFileSync(file, 'utf8');
+        pageIds.set(file, new Set(Array.from(html.matchAll(/\s(?:id|name)="([^"]+)"/g), match => match[1])));
+    }
+    return pageIds.get(file);
+}
+
+/**
+ * Check that a link leads somewhere in the repository
+ * @param {string} link - As written, e.g. ../css/main.css or /university/#apply
+ * @param {string} fromUrl - Site path of the page the link is on
+ * @returns {?string} - What's wrong, or null if the link works or leaves the site
+ */
+function checkLink(link, fromUrl) {
+    if (isExternal(link) || /^(mailto|tel|javascript|data):/.test(link) || link.startsWith('//')) {
+        return null;
+    }
+
+    const url = new URL(link, SITE_URL + fromUrl);
+    if (url.origin !== SITE_URL) return null;
+
+    const file = urlToFile(url.pathname);
+    if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        return `${link} leads to ${path.relative(ROOT, file)}, which does not exist`;
+    }
+
+    const fragment = decodeURIComponent(url.hash.slice(1));
+    if (fragment && file.endsWith('.html') && !idsOnPage(file).has(fragment)) {
+        return `${link} has no element with id "${fragment}" on ${url.pathname}`;
+    }
+    return null;
+}
+
+/**
+ * Every HTML page of the site
+ * @param {string} dir - Absolute path
+ * @returns {Array<string>} - Absolute paths
+ */
+function findPages(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const skipped = entry.name.startsWith('.') || SKIPPED_DIRS.includes(path.relative(ROOT, full));
+            return skipped ? [] : findPages(full);
+        }
+        return entry.name.endsWith('.html') ? [full] : [];
+    });
+}
+
+/**
+ * Links from the term data: class pages and their back links
+ * @returns {Array<{link: string, fromUrl: string, source: string}>}
+ */
+function termLinks() {
+    const registry = loadTermRegistry();
+    const links = [];
+
+    registry.all.forEach(term => {
+        const isCurrent = term === registry.current;
+
+        loadTermClasses(term).forEach(record => {
+            const source = `data/terms/${term.id}.json (${record.id})`;
+            const classLink = resolveClassLink(record.link);
+            links.push({ link: classLink, fromUrl: '/', source: source });
+
+            // Only our own class pages have a back link
+            if (!isExternal(classLink)) {
+                const anchor = isCurrent ? `${CURRENT_INDEX}#${record.id}` : `${ARCHIVE_INDEX}#${termRowId(term, record.id)}`;
+                links.push({ link: anchor, fromUrl: '/', source: `${source} back link` });
+            }
+        });
+    });
+
+    return links;
+}
+
+/**
+ * Fixed links in the menu scripts
+ * @returns {Array<{link: string, fromUrl: string, source: string}>}
+ */
+function menuLinks() {
+    return MENU_FILES.flatMap(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        return Array.from(source.matchAll(/href:\s*'([^']+)'/g), match => ({ link: match[1], fromUrl: '/', source: file }));
+    });
+}
+
+/**
+ * Links written into the HTML pages
+ * @returns {Array<{link: string, fromUrl: string, source: string}>}
+ */
+function pageLinks() {
+    return findPages(ROOT).flatMap(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        const fromUrl = fileToUrl(file);
+        // Markup from the term data quotes its attributes with '
+        return Array.from(html.matchAll(/\s(?:href|src)=(?:"([^"]*)"|'([^']*)')/g), match => match[1] !== undefined ? match[1] : match[2])
+            // Skip template strings in inline scripts; their results are checked above
+            .filter(link => link && link !== '#' && !link.includes('${'))
+            .map(link => ({ link: link, fromUrl: fromUrl, source: path.relative(ROOT, file) }));
+    });
+}
+
+function main() {
+    const problems = [];
+    let links;
+
+    try {
+        links = [...termLinks(), ...menuLinks(), ...pageLinks()];
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    links.forEach(({ link, fromUrl, source }) => {
+        const problem = checkLink(link, fromUrl);
+        if (problem) {
+            problems.push(`${source}: ${problem}`);
+        }
+    });
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} broken link(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${links.length} links OK`);
+}
+
+main();
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Email Link Encoder for Praxis San Diego
+ * Prints the markup of an obfuscated email link (js/email-obfuscation.js)
+ * to paste into a hand-written page. Pages that show one need
+ * <script src="/js/email-obfuscation.js"></script> to make it clickable.
+ *
+ * Class pages get their contact links from scripts/build-class-pages.js.
+ *
+ * Usage: node scripts/encode-email.js <address> [--encoding rot47|reverse|charcode] [--subject "[Essay Club!]"] [--text "email us"]
+ *   --encoding  How the address is hidden (defaults to rot47)
+ *   --subject   Subject line filled in when the link is clicked
+ *   --text      Link text (HTML) to show instead of the address
+ */
+
+const { EMAIL_ENCODINGS, renderEmailLink } = require('../js/email-obfuscation');
+
+const USAGE = 'Usage: node scripts/encode-email.js <address> [--encoding rot47|reverse|charcode] [--subject "[Essay Club!]"] [--text "email us"]';
+
+/**
+ * Read the command line
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{address: string, encoding: ?string, subject: ?string, text: ?string}}
+ */
+function parseArgs(args) {
+    const options = { address: null, encoding: null, subject: null, text: null };
+
+    for (let i = 0; i < args.length; i++) {
+        if (['--encoding', '--subject', '--text'].includes(args[i])) {
+            if (!args[i + 1]) throw new Error(`${args[i]} needs a value`);
+            options[args[i].slice(2)] = args[++i];
+        } else if (args[i].startsWith('--')) {
+            throw new Error(`Unknown option ${args[i]}`);
+        } else if (!options.address) {
+            options.address = args[i].trim();
+        } else {
+            throw new Error(`Unexpected argument "${args[i]}"`);
+        }
+    }
+
+    if (!options.address) {
+        throw new Error(USAGE);
+    }
+    if (!/^[^\s@]+@[^\s@]+$/.test(options.address)) {
+        throw new Error(`"${options.address}" is not an email address`);
+    }
+    if (options.encoding && !EMAIL_ENCODINGS[options.encoding]) {
+        throw new Error(`Unknown encoding "${options.encoding}" (use ${Object.keys(EMAIL_ENCODINGS).join(', ')})`);
+    }
+    return options;
+}
+
+function main() {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        console.log(renderEmailLink(options.address, {
+            encoding: options.encoding,
+            subject: options.subject,
+            text: options.text
+        }));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
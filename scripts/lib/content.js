@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Content file helpers for Node scripts
+ * A content file is an HTML or Markdown body with an optional front matter
+ * block of `key: value` lines between two `---` lines at the top.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('./terms');
+
+/**
+ * Split a content file into its front matter and body
+ * @param {string} text - File contents
+ * @returns {{data: Object, body: string}}
+ */
+function parseFrontMatter(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) {
+        return { data: {}, body: text };
+    }
+
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const field = /^([A-Za-z][\w-]*):\s*(.*)$/.exec(line);
+        if (!field) {
+            throw new Error(`front matter line ${index + 2} is not "key: value"`);
+        }
+        let value = field[2].trim();
+        // Quotes are optional, but allow values that start or end with spaces
+        if (/^(["']).*\1$/.test(value)) {
+            value = value.slice(1, -1);
+        }
+        data[field[1]] = value;
+    });
+
+    return { data: data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Convert the inline parts of a Markdown line: code, bold, italics and links.
+ * Inline HTML is left alone.
+ * @param {string} text
+ * @returns {string}
+ */
+function markdownInline(text) {
+    return text
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * Convert the Markdown used in class descriptions to HTML: headings,
+ * paragraphs, bulleted and numbered lists, and inline formatting.
+ * Blocks that start with an HTML tag are passed through unchanged.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToHtml(markdown) {
+    const blocks = markdown.replace(/\r\n/g, '\n').trim().split(/\n\s*\n/);
+
+    return blocks.map(block => {
+        const lines = block.split('\n');
+
+        if (/^\s*</.test(block)) {
+            return block;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(block);
+        if (heading && lines.length === 1) {
+            const level = heading[1].length;
+            return `<h${level}>${markdownInline(heading[2].trim())}</h${level}>`;
+        }
+
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+            const items = lines.map(line => `    <li>${markdownInline(line.replace(/^\s*[-*]\s+/, ''))}</li>`);
+            return `<ul>\n${items.join('\n')}\n</ul>`;
+        }
+
+        if (lines.every(line => /^\s*\d+\.\s+/.test(line))) {
+            const items = lines.map(line => `    <li>${markdownInline(line.replace(/^\s*\d+\.\s+/, ''))}</li>`);
+            return `<ol>\n${items.join('\n')}\n</ol>`;
+        }
+
+        return `<p>\n    ${markdownInline(lines.map(line => line.trim()).join(' '))}\n</p>`;
+    }).join('\n\n');
+}
+
+/**
+ * Read a content file, converting Markdown bodies to HTML
+ * @param {string} file - Absolute path to a .html or .md file
+ * @returns {{data: Object, html: string}}
+ */
+function readContentFile(file) {
+    let data, body;
+    try {
+        ({ data, body } = parseFrontMatter(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        throw new Error(`${path.relative(ROOT, file)}: ${error.message}`);
+    }
+    const html = path.extname(file) === '.md' ? markdownToHtml(body) : body.trim();
+    return { data: data, html: html };
+}
+
+module.exports = {
+    parseFrontMatter,
+    markdownToHtml,
+    readContentFile
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Minimal JSON Schema checker
+ * Supports the subset of draft-07 used by the schemas in data/:
+ * type, required, properties, additionalProperties, items, enum,
+ * pattern, minLength, minimum, maximum, minItems and local $ref.
+ */
+
+/**
+ * Get the JSON type name of a value the way JSON Schema spells it
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local "#/definitions/name" reference
+ */
+function resolveRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref values are supported, got "${ref}"`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], rootSchema);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema) to check against
+ * @param {Object} [rootSchema] - Schema that $ref paths are resolved against
+ * @param {string} [pointer] - Location of value, used in messages
+ * @returns {Array<{path: string, message: string}>} - Problems found (empty if valid)
+ */
+function validate(value, schema, rootSchema = schema, pointer = '') {
+    if (schema.$ref) {
+        return validate(value, resolveRef(schema.$ref, rootSchema), rootSchema, pointer);
+    }
+
+    const errors = [];
+    const report = message => errors.push({ path: pointer || '/', message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            report(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        report(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(`must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(`must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, rootSchema, `${pointer}/${index}`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                report(`missing required field "${key}"`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (properties[key]) {
+                errors.push(...validate(value[key], properties[key], rootSchema, `${pointer}/${key}`));
+            } else if (schema.additionalProperties === false) {
+                report(`unknown field "${key}"`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Site helpers for Node scripts
+ * Map the site's URLs onto the files in this repository, which is served
+ * as-is from the site root, and prepare text for the pages the scripts write.
+ */
+
+const path = require('path');
+const { ROOT } = require('./terms');
+
+const SITE_URL = 'https://praxissandiego.com';
+
+/**
+ * Whether a URL points off the site
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExternal(url) {
+    return /^https?:\/\//.test(url);
+}
+
+/**
+ * File in the repository that serves a site URL
+ * @param {string} url - Site path, e.g. /university/ or /classes/archive.html
+ * @returns {string} - Absolute path
+ */
+function urlToFile(url) {
+    const pathname = decodeURI(url.replace(/[?#].*$/, ''));
+    return path.join(ROOT, pathname.endsWith('/') ? pathname + 'index.html' : pathname);
+}
+
+/**
+ * Site path of a file in the repository
+ * @param {string} file - Absolute path
+ * @returns {string} - e.g. /university/index.html
+ */
+function fileToUrl(file) {
+    return '/' + path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+/**
+ * Escape text for use in HTML text and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    SITE_URL,
+    escapeHtml,
+    isExternal,
+    urlToFile,
+    fileToUrl
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Structured data (schema.org JSON-LD) for Node scripts
+ * Describes a class as a Course with a CourseInstance, which is also an
+ * Event, for the run in the term data: its dates and weekly schedule,
+ * where it meets and who teaches it. Search engines use this for rich
+ * results.
+ */
+
+const { SITE_URL, isExternal } = require('./site');
+const { resolveClassLink, htmlToPlainText } = require('../../js/terms');
+const { WEEKDAY_CODES, WEEKDAY_NAMES } = require('../../js/schedule');
+
+const SCHEDULE_TIMEZONE = 'America/Los_Angeles';
+
+const PROVIDER = {
+    '@type': 'EducationalOrganization',
+    name: 'Praxis Community University',
+    url: `${SITE_URL}/university/index.html`
+};
+
+/**
+ * Full URL of a class link from the term data
+ * @param {string} link
+ * @returns {string}
+ */
+function absoluteClassUrl(link) {
+    const url = resolveClassLink(link);
+    return isExternal(url) ? url : SITE_URL + url;
+}
+
+/**
+ * "HH:MM" as a schema.org Time
+ * @param {string} time
+ * @returns {string}
+ */
+function toSchemaTime(time) {
+    return `${time}:00`;
+}
+
+/**
+ * Where a class meets, as a Place. Private venues give only their neighborhood.
+ * @param {Object} record - Class record with venueInfo (see addVenueInfo in js/terms.js)
+ * @returns {Object}
+ */
+function describeLocation(record) {
+    const venue = record.venueInfo;
+    const city = {
+        addressLocality: 'San Diego',
+        addressRegion: 'CA',
+        addressCountry: 'US'
+    };
+
+    if (!venue) {
+        return {
+            '@type': 'Place',
+            name: htmlToPlainText(record.where),
+            address: Object.assign({ '@type': 'PostalAddress' }, city)
+        };
+    }
+
+    const place = { '@type': 'Place', name: venue.private ? venue.neighborhood : venue.name };
+    // Some venues have directions ("In front of ...") instead of a street address
+    const hasStreetAddress = !venue.private && /^\d/.test(venue.address || '');
+    place.address = Object.assign({ '@type': 'PostalAddress' }, hasStreetAddress ? { streetAddress: venue.address } : {}, city);
+    if (!venue.private && venue.address && !hasStreetAddress) {
+        place.description = venue.address;
+    }
+    if (!venue.private) {
+        place.geo = {
+            '@type': 'GeoCoordinates',
+            latitude: venue.coordinates.lat,
+            longitude: venue.coordinates.lng
+        };
+    }
+    return place;
+}
+
+/**
+ * A class's meetings as Schedules: one per weekly pattern and one per extra session
+ * @param {Object} schedule - The record's schedule object
+ * @returns {Array<Object>}
+ */
+function describeSchedules(schedule) {
+    const skip = schedule.skip || [];
+
+    const weekly = (schedule.weekly || []).map(pattern => {
+        const entry = {
+            '@type': 'Schedule',
+            repeatFrequency: `P${pattern.interval || 1}W`,
+            byDay: pattern.days.map(day => `https://schema.org/${WEEKDAY_NAMES[WEEKDAY_CODES.indexOf(day)]}`),
+            startDate: pattern.firstDate,
+            endDate: pattern.lastDate,
+            startTime: toSchemaTime(pattern.start),
+            endTime: toSchemaTime(pattern.end),
+            scheduleTimezone: SCHEDULE_TIMEZONE
+        };
+        const breaks = skip.filter(date => date >= pattern.firstDate && date <= pattern.lastDate);
+        if (breaks.length > 0) {
+            entry.exceptDate = breaks;
+        }
+        return entry;
+    });
+
+    const extra = (schedule.extra || []).map(session => {
+        const entry = {
+            '@type': 'Schedule',
+            repeatCount: 1,
+            startDate: session.date,
+            endDate: session.date,
+            scheduleTimezone: SCHEDULE_TIMEZONE
+        };
+        if (session.start) entry.startTime = toSchemaTime(session.start);
+        if (session.end) entry.endTime = toSchemaTime(session.end);
+        return entry;
+    });
+
+    return [...weekly, ...extra];
+}
+
+/**
+ * A class's instructors as Persons, linked to their pages when known
+ * @param {Object} record - Class record
+ * @returns {Array<Object>}
+ */
+function describeInstructors(record) {
+    if (!record.instructorLinks) {
+        return [{ '@type': 'Person', name: htmlToPlainText(record.instructor) }];
+    }
+    return record.instructorLinks.map(link => ({
+        '@type': 'Person',
+        name: link.name,
+        url: SITE_URL + link.href
+    }));
+}
+
+/**
+ * Describe one run of a class as a Course with its CourseInstance
+ * @param {Object} record - Normalized class record with venue and instructor info
+ * @param {Object} term - Registry entry
+ * @returns {Object} - schema.org Course, without @context
+ */
+function describeClass(record, term) {
+    const name = htmlToPlainText(record.name);
+    const url = absoluteClassUrl(record.link);
+
+    const instance = {
+        '@type': 'CourseInstance',
+        name: `${name} (${term.name})`,
+        courseMode: 'Onsite',
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+        eventStatus: 'https://schema.org/EventScheduled',
+        location: describeLocation(record),
+        instructor: describeInstructors(record),
+        organizer: PROVIDER,
+        url: url
+    };
+    if (record.firstDate) {
+        instance.startDate = record.firstDate;
+        instance.endDate = record.lastDate;
+    }
+    const schedules = describeSchedules(record.schedule || {});
+    if (schedules.length > 0) {
+        instance.courseSchedule = schedules;
+    }
+
+    return {
+        '@type': 'Course',
+        name: name,
+        description: htmlToPlainText(record.description),
+        url: url,
+        provider: PROVIDER,
+        hasCourseInstance: [instance]
+    };
+}
+
+/**
+ * Describe the classes of a term as an ItemList pointing at their pages;
+ * each class page carries its own full Course
+ * @param {Array<Object>} records - In the order the page lists them
+ * @param {Object} term - Registry entry
+ * @returns {Object} - schema.org ItemList, without @context
+ */
+function describeClassList(records, term) {
+    return {
+        '@type': 'ItemList',
+        name: `Praxis Community University classes, ${term.name}`,
+        numberOfItems: records.length,
+        itemListElement: records.map((record, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            url: absoluteClassUrl(record.link),
+            name: htmlToPlainText(record.name)
+        }))
+    };
+}
+
+/**
+ * Render structured data as a <script> block for a page's head
+ * @param {Object} data - schema.org object without @context
+ * @param {number} spaces - Indentation of the <script> tag
+ * @returns {string}
+ */
+function renderJsonLd(data, spaces) {
+    const prefix = ' '.repeat(spaces);
+    const json = JSON.stringify(Object.assign({ '@context': 'https://schema.org' }, data), null, 2)
+        // "</script>" inside a string would end the block early
+        .replace(/</g, '\\u003c');
+    const body = json.split('\n').map(line => prefix + line).join('\n');
+    return `${prefix}<script type="application/ld+json">\n${body}\n${prefix}</script>`;
+}
+
+module.exports = {
+    describeClass,
+    describeClassList,
+    renderJsonLd
+};
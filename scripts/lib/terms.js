@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Term data helpers for Node scripts
+ * Reads the same term registry (data/terms/index.json) and term files
+ * that js/terms.js loads in the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeClassRecord } = require('../../js/schedule');
+const { addInstructorInfo, addVenueInfo, addRegistrationInfo } = require('../../js/terms');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const TERMS_DIR = path.join(ROOT, 'data', 'terms');
+const REGISTRY_FILE = path.join(TERMS_DIR, 'index.json');
+const INSTRUCTORS_FILE = path.join(ROOT, 'data', 'instructors.json');
+const VENUES_FILE = path.join(ROOT, 'data', 'venues.json');
+
+/**
+ * Read and parse a JSON file, naming the file in any parse error
+ * @param {string} file - Absolute path
+ * @returns {*} - Parsed JSON
+ */
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.relative(ROOT, file)}: ${error.message}`);
+    }
+}
+
+/**
+ * Load the term registry
+ * @returns {Object} - {current, archived, all}; each term is {id, name, file, applicationForm, registrationDeadline}
+ */
+function loadTermRegistry() {
+    const manifest = readJson(REGISTRY_FILE);
+    const all = manifest.terms.map(term => ({
+        id: term.id,
+        name: term.name,
+        file: path.join(TERMS_DIR, `${term.id}.json`),
+        // Tally form embedded on the term's class pages
+        applicationForm: term.applicationForm || null,
+        // For classes that don't set their own
+        registrationDeadline: term.registrationDeadline || null
+    }));
+
+    const current = all.find(term => term.id === manifest.current);
+    if (!current) {
+        throw new Error(`Current term "${manifest.current}" is not listed in the term registry`);
+    }
+
+    return {
+        current: current,
+        archived: all.filter(term => term !== current),
+        all: all
+    };
+}
+
+/**
+ * Load the instructor directory
+ * @returns {Array<Object>} - Instructors, each {id, name, bio, photo, links}
+ */
+function loadInstructors() {
+    return readJson(INSTRUCTORS_FILE);
+}
+
+/**
+ * Load the venue list
+ * @returns {Array<Object>} - Venues, each {id, name, address, neighborhood, coordinates, ...}
+ */
+function loadVenues() {
+    return readJson(VENUES_FILE);
+}
+
+/**
+ * Load the class records of one term, with the term's name, the fields
+ * derived from their schedules, their registration deadlines, their venues
+ * and links to their instructors' pages
+ * @param {Object} term - Registry entry
+ * @returns {Array<Object>} - Class records
+ */
+function loadTermClasses(term) {
+    const records = addRegistrationInfo(readJson(term.file).map(normalizeClassRecord), term);
+    records.forEach(record => { record.term = term.name; });
+    return addInstructorInfo(addVenueInfo(records, loadVenues()), loadInstructors());
+}
+
+module.exports = {
+    ROOT,
+    TERMS_DIR,
+    REGISTRY_FILE,
+    INSTRUCTORS_FILE,
+    VENUES_FILE,
+    readJson,
+    loadTermRegistry,
+    loadInstructors,
+    loadVenues,
+    loadTermClasses
+};
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Class Table Prerenderer for Praxis Community University
+ * Writes the rows of the class tables straight into their pages from the
+ * term data, so crawlers, link previews and readers without JavaScript see
+ * the classes. In the browser, ClassTable (js/class-table.js) takes these
+ * rows over instead of rebuilding them.
+ *
+ * Pages of the current term also get a schema.org ItemList of its classes
+ * (scripts/lib/structured-data.js) in their head, for search engines.
+ *
+ * Rerun after editing term data or changing the current term.
+ *
+ * Usage: node scripts/prerender-tables.js [--check]
+ *   --check  Write nothing; exit with status 1 if any page is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadTermRegistry, loadTermClasses } = require('./lib/terms');
+const { addTermInfo } = require('../js/terms');
+const { describeClassList, renderJsonLd } = require('./lib/structured-data');
+const { CLASS_TABLE_COLUMNS, renderClassRow, initialClassOrder } = require('../js/class-table');
+
+// Must match the ClassTable options in each page's own script
+const PRERENDERED_TABLES = [
+    {
+        file: 'index.html',
+        tableId: 'table1',
+        terms: 'current',
+        columns: ['name', 'start', 'duration', 'learnMore'],
+        defaultOrder: 'start'
+    },
+    {
+        file: 'university/index.html',
+        tableId: 'archiveTable',
+        terms: 'current',
+        columns: ['classInfo', 'instructor', 'schedule', 'location'],
+        structuredData: true
+    },
+    {
+        file: 'university/classes/archive.html',
+        tableId: 'archiveTable',
+        terms: 'archived',
+        columns: ['classInfo', 'instructor', 'schedule', 'term'],
+        groupSeries: true
+    }
+];
+
+/**
+ * Load the records a table shows, as the page's script does
+ * @param {Object} registry - From loadTermRegistry()
+ * @param {string} which - 'current' or 'archived'
+ * @returns {Array<Object>}
+ */
+function loadTableRecords(registry, which) {
+    if (which === 'current') {
+        return loadTermClasses(registry.current);
+    }
+    return registry.archived.flatMap(term => addTermInfo(loadTermClasses(term), term));
+}
+
+/**
+ * Replace the rows of one table in a page's HTML
+ * @param {string} html - Page HTML
+ * @param {Object} table - Entry of PRERENDERED_TABLES
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+function prerenderTable(html, table, records) {
+    const tableStart = html.indexOf(`<table id="${table.tableId}"`);
+    const tbodyStart = tableStart === -1 ? -1 : html.indexOf('<tbody', tableStart);
+    const tbodyEnd = tbodyStart === -1 ? -1 : html.indexOf('</tbody>', tbodyStart);
+    if (tbodyEnd === -1) {
+        throw new Error(`${table.file}: no <tbody> in table #${table.tableId}`);
+    }
+
+    const openTagEnd = html.indexOf('>', tbodyStart) + 1;
+    const lineStart = html.lastIndexOf('\n', tbodyStart) + 1;
+    const tbodyIndent = html.slice(lineStart, tbodyStart);
+    const rowIndent = tbodyIndent + '    ';
+
+    const columns = table.columns.map(key => CLASS_TABLE_COLUMNS[key]);
+    const order = table.defaultOrder ? CLASS_TABLE_COLUMNS[table.defaultOrder].compare : null;
+    const rows = initialClassOrder(records, order, table.groupSeries)
+        // One line per row; the renderers' own line breaks only separate tags
+        .map(record => rowIndent + renderClassRow(record, columns).replace(/>\s*\n\s*</g, '><').trim());
+
+    const body = [
+        '',
+        `${rowIndent}<!-- Rows written by scripts/prerender-tables.js -->`,
+        ...rows,
+        tbodyIndent
+    ].join('\n');
+
+    let result = html.slice(0, openTagEnd) + body + html.slice(tbodyEnd);
+
+    // Counts under the table start out showing every row
+    ['visibleCount', 'totalCount'].forEach(id => {
+        result = result.replace(new RegExp(`(<span id="${id}">)[^<]*(</span>)`), `$1${records.length}$2`);
+    });
+
+    return result;
+}
+
+/**
+ * Replace the class list structured data in a page's head, or add it
+ * @param {string} html - Page HTML
+ * @param {Array<Object>} records - In table order
+ * @param {Object} term - Registry entry
+ * @returns {string}
+ */
+function writeClassList(html, records, term) {
+    const block = renderJsonLd(describeClassList(records, term), 4);
+    const existing = /^ *<script type="application\/ld\+json">[\s\S]*?<\/script>\n/m;
+    if (existing.test(html)) {
+        return html.replace(existing, () => block + '\n');
+    }
+    return html.replace('</head>', () => `${block}\n</head>`);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const registry = loadTermRegistry();
+    const problems = [];
+    const stale = [];
+
+    PRERENDERED_TABLES.forEach(table => {
+        const file = path.join(ROOT, table.file);
+        try {
+            const html = fs.readFileSync(file, 'utf8');
+            const records = loadTableRecords(registry, table.terms);
+            let updated = prerenderTable(html, table, records);
+            if (table.structuredData) {
+                const order = table.defaultOrder ? CLASS_TABLE_COLUMNS[table.defaultOrder].compare : null;
+                updated = writeClassList(updated, initialClassOrder(records, order, table.groupSeries), registry.current);
+            }
+            if (updated === html) return;
+
+            stale.push(table.file);
+            if (!checkOnly) {
+                fs.writeFileSync(file, updated);
+            }
+        } catch (error) {
+            problems.push(error.message);
+        }
+    });
+
+    if (checkOnly && stale.length > 0) {
+        stale.forEach(file => console.error(`${file} is out of date`));
+        problems.push(`${stale.length} page(s) need prerendering: node scripts/prerender-tables.js`);
+    } else if (!checkOnly) {
+        stale.forEach(file => console.log(`wrote ${file}`));
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${PRERENDERED_TABLES.length} tables ${checkOnly ? 'up to date' : 'prerendered'}`);
+}
+
+main();
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Term Rollover for Praxis Community University
+ * Starts a new term: creates its data file and page folders, makes it the
+ * current term in data/terms/index.json (which archives the old current term
+ * for every page that reads the registry), points the university page's
+ * application form at the new form, checks the term data, and rebuilds the
+ * class pages, prerendered tables and redirect stubs. If any step fails,
+ * the steps before it are undone and the pages rebuilt from the old data.
+ *
+ * Class pages stay where they are; only the old term's rows move from
+ * /university/index.html to the archive, and that page forwards old
+ * #class-id links there itself.
+ *
+ * Usage: node scripts/rollover-term.js "Fall 2026" [--id fall2026] [--form <tally id>] [--deadline YYYY-MM-DD] [--dry-run]
+ *   --id        Term id (defaults to the name in lower case without spaces)
+ *   --form      Tally form id for the new term's applications
+ *   --deadline  Registration deadline for classes that don't set their own
+ *   --dry-run   Print the planned changes without making them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, TERMS_DIR, REGISTRY_FILE, readJson } = require('./lib/terms');
+
+const UNIVERSITY_INDEX = path.join(ROOT, 'university', 'index.html');
+
+/**
+ * Read the command line
+ * @param {Array<string>} args - process.argv without node and the script
+ * @returns {{name: string, id: string, form: ?string, deadline: ?string, dryRun: boolean}}
+ */
+function parseArgs(args) {
+    const options = { name: null, id: null, form: null, deadline: null, dryRun: false };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (['--id', '--form', '--deadline'].includes(args[i])) {
+            if (!args[i + 1]) throw new Error(`${args[i]} needs a value`);
+            options[args[i].slice(2)] = args[++i];
+        } else if (args[i].startsWith('--')) {
+            throw new Error(`Unknown option ${args[i]}`);
+        } else if (!options.name) {
+            options.name = args[i].trim();
+        } else {
+            throw new Error(`Unexpected argument "${args[i]}" (quote a term name with spaces)`);
+        }
+    }
+
+    if (!options.name) {
+        throw new Error('Usage: node scripts/rollover-term.js "Fall 2026" [--id fall2026] [--form <tally id>] [--deadline YYYY-MM-DD] [--dry-run]');
+    }
+    if (options.deadline && !/^\d{4}-\d{2}-\d{2}$/.test(options.deadline)) {
+        throw new Error(`Deadline "${options.deadline}" should be a YYYY-MM-DD date`);
+    }
+    options.id = options.id || options.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!/^[a-z0-9]+$/.test(options.id)) {
+        throw new Error(`Term id "${options.id}" should be lower-case letters and digits`);
+    }
+    return options;
+}
+
+/**
+ * Run another script in scripts/; throws if it exits with an error
+ * @param {string} script - e.g. "prerender-tables.js"
+ */
+function runScript(script) {
+    execFileSync(process.execPath, [path.join(__dirname, script)], { stdio: 'inherit' });
+}
+
+/**
+ * Format the registry like the hand-written file: one term per line
+ * @param {Object} manifest
+ * @returns {string}
+ */
+function formatRegistry(manifest) {
+    const terms = manifest.terms.map(term => {
+        const fields = Object.entries(term).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+        return `    { ${fields.join(', ')} }`;
+    });
+    return `{\n  "current": ${JSON.stringify(manifest.current)},\n  "terms": [\n${terms.join(',\n')}\n  ]\n}\n`;
+}
+
+/**
+ * Work out every change the rollover makes
+ * @param {Object} options - From parseArgs
+ * @returns {Array<{description: string, apply: Function, undo: ?Function, rebuild: ?boolean}>}
+ */
+function planRollover(options) {
+    const manifest = readJson(REGISTRY_FILE);
+    if (manifest.terms.some(term => term.id === options.id || term.name === options.name)) {
+        throw new Error(`Term "${options.name}" (${options.id}) is already in data/terms/index.json`);
+    }
+    const previous = manifest.terms.find(term => term.id === manifest.current);
+    const steps = [];
+
+    const dataFile = path.join(TERMS_DIR, `${options.id}.json`);
+    if (fs.existsSync(dataFile)) {
+        steps.push({ description: `Keep the existing ${path.relative(ROOT, dataFile)}`, apply: () => {} });
+    } else {
+        steps.push({
+            description: `Create ${path.relative(ROOT, dataFile)} with no classes yet`,
+            apply: () => fs.writeFileSync(dataFile, '[]\n'),
+            undo: () => fs.rmSync(dataFile, { force: true })
+        });
+    }
+
+    ['content/classes', 'university/classes'].forEach(dir => {
+        const termDir = path.join(ROOT, dir, options.id);
+        if (fs.existsSync(termDir)) return;
+        steps.push({
+            description: `Create ${path.relative(ROOT, termDir)}/`,
+            apply: () => fs.mkdirSync(termDir, { recursive: true }),
+            undo: () => fs.rmSync(termDir, { recursive: true, force: true })
+        });
+    });
+
+    const newTerm = { id: options.id, name: options.name };
+    if (options.form) newTerm.applicationForm = options.form;
+    if (options.deadline) newTerm.registrationDeadline = options.deadline;
+    const registryText = fs.readFileSync(REGISTRY_FILE, 'utf8');
+    const updated = Object.assign({}, manifest, {
+        current: options.id,
+        terms: [newTerm, ...manifest.terms]
+    });
+    steps.push({
+        description: `Make ${options.name} the current term in data/terms/index.json` +
+            (previous ? ` (${previous.name} moves to the archive)` : ''),
+        apply: () => fs.writeFileSync(REGISTRY_FILE, formatRegistry(updated)),
+        undo: () => fs.writeFileSync(REGISTRY_FILE, registryText)
+    });
+
+    if (options.form) {
+        const html = fs.readFileSync(UNIVERSITY_INDEX, 'utf8');
+        steps.push({
+            description: `Point the application form on university/index.html at ${options.form}`,
+            apply: () => {
+                const updatedHtml = html.replace(/(tally\.so\/embed\/)[A-Za-z0-9]+/, `$1${options.form}`);
+                if (updatedHtml === html) {
+                    throw new Error('No Tally form found in university/index.html');
+                }
+                fs.writeFileSync(UNIVERSITY_INDEX, updatedHtml);
+            },
+            undo: () => fs.writeFileSync(UNIVERSITY_INDEX, html)
+        });
+    }
+
+    // Nothing is rebuilt from term data that doesn't validate
+    steps.push({
+        description: 'Run scripts/validate-terms.js',
+        apply: () => runScript('validate-terms.js')
+    });
+
+    // Back links on the old term's pages, every prerendered table and the
+    // stubs in front of them change
+    ['build-class-pages.js', 'prerender-tables.js', 'build-redirects.js'].forEach(script => {
+        steps.push({
+            description: `Run scripts/${script}`,
+            apply: () => runScript(script),
+            rebuild: true
+        });
+    });
+
+    return steps;
+}
+
+/**
+ * Undo the steps that ran: put the files back, then rerun the builders
+ * that already ran so their pages match the old data again
+ * @param {Array<Object>} applied - Steps from planRollover, including the one that failed
+ */
+function rollBack(applied) {
+    console.error('Undoing the rollover...');
+    try {
+        applied.filter(step => step.undo).reverse().forEach(step => step.undo());
+        applied.filter(step => step.rebuild).forEach(step => step.apply());
+    } catch (error) {
+        console.error(`Undo failed: ${error.message}`);
+        console.error('Check `git status` for files the rollover left changed.');
+        return;
+    }
+    console.error('Nothing was changed.');
+}
+
+function main() {
+    let options, steps;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        steps = planRollover(options);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    console.log(`${options.dryRun ? 'Would roll' : 'Rolling'} over to ${options.name} (${options.id}):`);
+    steps.forEach((step, index) => console.log(`  ${index + 1}. ${step.description}`));
+    if (options.dryRun) return;
+
+    console.log('');
+    const applied = [];
+    try {
+        steps.forEach(step => {
+            applied.push(step);
+            step.apply();
+        });
+    } catch (error) {
+        console.error(`\nRollover stopped: ${error.message}`);
+        rollBack(applied);
+        process.exit(1);
+    }
+
+    console.log(`\n${options.name} is now the current term. Still to do by hand:`);
+    console.log(`  - Add classes to data/terms/${options.id}.json and their pages to content/classes/${options.id}/,`);
+    console.log('    new instructors to data/instructors.json and new venues to data/venues.json,');
+    console.log('    then run scripts/build-class-pages.js, scripts/build-instructor-pages.js and');
+    console.log('    scripts/prerender-tables.js');
+    console.log('  - Update the term dates and registration text in university/index.html and index.html');
+    if (!options.form) {
+        console.log('  - Set "applicationForm" for the term in data/terms/index.json (or rerun with --form)');
+    }
+    if (!options.deadline) {
+        console.log('  - Set "registrationDeadline" for the term in data/terms/index.json, or a');
+        console.log('    registration deadline on each class');
+    }
+}
+
+main();
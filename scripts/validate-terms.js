@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Term Data Validator for Praxis Community University
+ * Checks every term listed in data/terms/index.json against
+ * data/terms/class.schema.json, plus the things a schema can't express:
+ * duplicate ids, class page links that don't exist and schedules that
+ * don't add up (dates on the wrong weekday, breaks that aren't meeting days),
+ * and registration deadlines that fall after a class is over.
+ * Also checks the instructor directory, data/instructors.json, and the
+ * venue list, data/venues.json, and that every instructor and venue a
+ * class names is in them.
+ *
+ * Usage: node scripts/validate-terms.js
+ * Exits with status 1 if any problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, TERMS_DIR, INSTRUCTORS_FILE, VENUES_FILE, readJson, loadTermRegistry } = require('./lib/terms');
+const { validate } = require('./lib/json-schema');
+const { WEEKDAY_CODES, WEEKDAY_NAMES, parseScheduleDate, toIsoDate, weekdayOf, expandSchedule } = require('../js/schedule');
+
+const SCHEMA_FILE = path.join(TERMS_DIR, 'class.schema.json');
+const INSTRUCTORS_SCHEMA_FILE = path.join(ROOT, 'data', 'instructors.schema.json');
+const VENUES_SCHEMA_FILE = path.join(ROOT, 'data', 'venues.schema.json');
+
+/**
+ * Check that a schedule's dates exist and agree with each other
+ * @param {Object} schedule - The record's schedule object
+ * @returns {Array<string>} - Problem descriptions
+ */
+function checkSchedule(schedule) {
+    const problems = [];
+    const isRealDate = isoDate => toIsoDate(parseScheduleDate(isoDate)) === isoDate;
+    const allDates = [
+        ...(schedule.weekly || []).flatMap(pattern => [pattern.firstDate, pattern.lastDate]),
+        ...(schedule.skip || []),
+        ...(schedule.extra || []).map(session => session.date),
+        ...(schedule.firstDate ? [schedule.firstDate] : [])
+    ];
+
+    const badDates = allDates.filter(isoDate => !isRealDate(isoDate));
+    if (badDates.length > 0) {
+        // Everything below assumes valid dates
+        return badDates.map(isoDate => `schedule date "${isoDate}" does not exist`);
+    }
+
+    (schedule.weekly || []).forEach(pattern => {
+        if (pattern.lastDate < pattern.firstDate) {
+            problems.push(`schedule runs backwards (${pattern.firstDate} to ${pattern.lastDate})`);
+        }
+        if (!pattern.days.includes(WEEKDAY_CODES[weekdayOf(pattern.firstDate)])) {
+            problems.push(`schedule firstDate ${pattern.firstDate} is a ${WEEKDAY_NAMES[weekdayOf(pattern.firstDate)]}, not one of ${pattern.days.join('/')}`);
+        }
+        if (pattern.end <= pattern.start) {
+            problems.push(`schedule ends (${pattern.end}) before it starts (${pattern.start})`);
+        }
+    });
+
+    // A break only means something if the class would otherwise meet that day
+    const unskipped = expandSchedule(Object.assign({}, schedule, { skip: [], extra: [] }));
+    const meetingDates = new Set(unskipped.map(meeting => meeting.date));
+    (schedule.skip || []).forEach(isoDate => {
+        if (!meetingDates.has(isoDate)) {
+            problems.push(`schedule skips ${isoDate}, which is not a meeting day`);
+        }
+    });
+
+    (schedule.extra || []).forEach(session => {
+        if (session.start && session.end && session.end <= session.start) {
+            problems.push(`schedule session on ${session.date} ends before it starts`);
+        }
+    });
+
+    if (expandSchedule(schedule).length === 0 && !schedule.firstDate) {
+        problems.push('schedule has no meetings; set schedule.firstDate while dates are TBD');
+    }
+
+    return problems;
+}
+
+/**
+ * Check that a class's registration details agree with its schedule
+ * @param {Object} registration - The record's registration object
+ * @param {Object} schedule - The record's schedule object
+ * @returns {Array<string>} - Problem descriptions
+ */
+function checkRegistration(registration, schedule) {
+    const problems = [];
+    const deadline = registration.deadline;
+    if (!deadline) return problems;
+
+    if (toIsoDate(parseScheduleDate(deadline)) !== deadline) {
+        return [`registration deadline "${deadline}" does not exist`];
+    }
+    if (registration.rolling) {
+        problems.push('registration is rolling but has a deadline; drop one of them');
+    }
+
+    const meetings = expandSchedule(schedule);
+    const lastDate = meetings.length > 0 ? meetings[meetings.length - 1].date : null;
+    if (lastDate && deadline > lastDate) {
+        problems.push(`registration deadline ${deadline} is after the last meeting (${lastDate})`);
+    }
+
+    return problems;
+}
+
+/**
+ * Check the instructor directory and return its problems
+ * @returns {{problems: Array<string>, ids: Set<string>}} - Problems, and the ids it defines
+ */
+function checkInstructors() {
+    let instructors;
+    try {
+        instructors = readJson(INSTRUCTORS_FILE);
+    } catch (error) {
+        return { problems: [error.message], ids: new Set() };
+    }
+
+    const fileLabel = path.relative(ROOT, INSTRUCTORS_FILE);
+    const problems = validate(instructors, readJson(INSTRUCTORS_SCHEMA_FILE))
+        .map(error => `${fileLabel} ${error.path}: ${error.message}`);
+    if (!Array.isArray(instructors)) return { problems: problems, ids: new Set() };
+
+    const ids = new Set();
+    instructors.forEach(instructor => {
+        if (!instructor || typeof instructor.id !== 'string') return;
+        if (ids.has(instructor.id)) {
+            problems.push(`${fileLabel} [${instructor.id}] duplicate id`);
+        }
+        ids.add(instructor.id);
+
+        if (typeof instructor.photo === 'string' && !fs.existsSync(path.join(ROOT, instructor.photo))) {
+            problems.push(`${fileLabel} [${instructor.id}] photo ${instructor.photo} does not exist`);
+        }
+    });
+
+    return { problems: problems, ids: ids };
+}
+
+/**
+ * Check the venue list and return its problems
+ * @returns {{problems: Array<string>, ids: Set<string>}} - Problems, and the ids it defines
+ */
+function checkVenues() {
+    let venues;
+    try {
+        venues = readJson(VENUES_FILE);
+    } catch (error) {
+        return { problems: [error.message], ids: new Set() };
+    }
+
+    const fileLabel = path.relative(ROOT, VENUES_FILE);
+    const problems = validate(venues, readJson(VENUES_SCHEMA_FILE))
+        .map(error => `${fileLabel} ${error.path}: ${error.message}`);
+    if (!Array.isArray(venues)) return { problems: problems, ids: new Set() };
+
+    const ids = new Set();
+    venues.forEach(venue => {
+        if (!venue || typeof venue.id !== 'string') return;
+        if (ids.has(venue.id)) {
+            problems.push(`${fileLabel} [${venue.id}] duplicate id`);
+        }
+        ids.add(venue.id);
+
+        // Private venues only give their neighborhood
+        if (venue.private && (venue.address || venue.mapUrl)) {
+            problems.push(`${fileLabel} [${venue.id}] is private but has an address`);
+        }
+    });
+
+    return { problems: problems, ids: ids };
+}
+
+/**
+ * Check one term's records and return its problems
+ * @param {Object} term - Term registry entry
+ * @param {Object} schema - Parsed class schema
+ * @param {Set<string>} instructorIds - Ids in the instructor directory
+ * @param {Set<string>} venueIds - Ids in the venue list
+ * @returns {Array<string>} - Problem descriptions
+ */
+function checkTerm(term, schema, instructorIds, venueIds) {
+    const problems = [];
+    let classes;
+    try {
+        classes = readJson(term.file);
+    } catch (error) {
+        return [error.message];
+    }
+
+    const fileLabel = path.relative(ROOT, term.file);
+    const label = (record, index) => `${fileLabel} [${(record && record.id) || `#${index}`}]`;
+
+    const schemaErrors = validate(classes, schema);
+    // Schedule checks only make sense for records that match the schema
+    const schemaErrorsAt = new Set(schemaErrors.map(error => error.path.split('/')[1]));
+
+    schemaErrors.forEach(error => {
+        const index = Number(error.path.split('/')[1]);
+        const field = error.path.split('/').slice(2).join('/');
+        const where = Number.isNaN(index) ? fileLabel : label(classes[index], index);
+        problems.push(`${where}${field ? ` ${field}:` : ''} ${error.message}`);
+    });
+    if (!Array.isArray(classes)) return problems;
+
+    const seenIds = new Map();
+
+    classes.forEach((record, index) => {
+        if (!record || typeof record !== 'object') return;
+
+        if (typeof record.id === 'string') {
+            if (seenIds.has(record.id)) {
+                problems.push(`${label(record, index)} duplicate id (also used by record #${seenIds.get(record.id)})`);
+            } else {
+                seenIds.set(record.id, index);
+            }
+        }
+
+        if (typeof record.link === 'string' && !/^https?:\/\//.test(record.link)) {
+            const expectedDir = `classes/${term.id}/`;
+            if (!record.link.startsWith(expectedDir) || !record.link.endsWith('.html')) {
+                problems.push(`${label(record, index)} link "${record.link}" should point to ${expectedDir}<page>.html`);
+            } else if (!fs.existsSync(path.join(ROOT, 'university', record.link))) {
+                problems.push(`${label(record, index)} link "${record.link}" has no page at university/${record.link}`);
+            }
+        }
+
+        if (Array.isArray(record.instructors)) {
+            record.instructors.filter(id => !instructorIds.has(id)).forEach(id => {
+                problems.push(`${label(record, index)} instructor "${id}" is not in data/instructors.json`);
+            });
+        }
+
+        if (typeof record.venue === 'string' && !venueIds.has(record.venue)) {
+            problems.push(`${label(record, index)} venue "${record.venue}" is not in data/venues.json`);
+        }
+        if (Boolean(record.venue) === Boolean(record.where)) {
+            problems.push(`${label(record, index)} needs either a venue or a where, not ${record.venue ? 'both' : 'neither'}`);
+        }
+        if (record.locationNote && !record.venue) {
+            problems.push(`${label(record, index)} locationNote only goes with a venue; put it in where`);
+        }
+
+        if (!schemaErrorsAt.has(String(index))) {
+            checkSchedule(record.schedule).forEach(problem => {
+                problems.push(`${label(record, index)} ${problem}`);
+            });
+            if (record.registration) {
+                checkRegistration(record.registration, record.schedule).forEach(problem => {
+                    problems.push(`${label(record, index)} ${problem}`);
+                });
+            }
+        }
+    });
+
+    return problems;
+}
+
+function main() {
+    const schema = readJson(SCHEMA_FILE);
+    const registry = loadTermRegistry();
+    const instructors = checkInstructors();
+    const venues = checkVenues();
+    const problems = [...instructors.problems, ...venues.problems];
+
+    registry.all.forEach(term => {
+        const deadline = term.registrationDeadline;
+        if (deadline && (!/^\d{4}-\d{2}-\d{2}$/.test(deadline) || toIsoDate(parseScheduleDate(deadline)) !== deadline)) {
+            problems.push(`data/terms/index.json: term "${term.id}" registrationDeadline "${deadline}" is not a YYYY-MM-DD date`);
+        }
+        if (!fs.existsSync(term.file)) {
+            problems.push(`data/terms/index.json: term "${term.id}" has no file ${path.relative(ROOT, term.file)}`);
+            return;
+        }
+        problems.push(...checkTerm(term, schema, instructors.ids, venues.ids));
+    });
+
+    // Term files the registry doesn't know about are never shown on the site
+    const listed = new Set(registry.all.map(term => path.basename(term.file)));
+    fs.readdirSync(TERMS_DIR)
+        .filter(file => file.endsWith('.json') && file !== 'index.json' && !file.endsWith('.schema.json'))
+        .filter(file => !listed.has(file))
+        .forEach(file => problems.push(`data/terms/${file} is not listed in data/terms/index.json`));
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log(`${registry.all.length} terms OK`);
+}
+
+main();
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Tests for js/email-obfuscation.js: every encoding round-trips any address,
+ * including through a rendered link's HTML, and mailto: URLs keep the
+ * whole address and subject.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    EMAIL_ENCODINGS,
+    encodeEmail,
+    decodeEmail,
+    buildMailto,
+    renderEmailLink
+} = require('../js/email-obfuscation');
+
+const ADDRESSES = [
+    'praxissandiego@gmail.com',
+    'first_last@example.org',
+    'to@to.to',
+    'name+classes@example.com',
+    'odd%?&#chars@example.com',
+    '"quoted<>"@example.com',
+    'josé.müller@exämple.de',
+    'пример@пример.рф',
+    '📚+reading@example.com',
+    'a@𝔡𝔬𝔪𝔞𝔦𝔫.example',
+    ''
+];
+
+/**
+ * A string of random code points, from a seeded generator so failures repeat
+ * @param {Function} random - Returns numbers in [0, 1)
+ * @returns {string}
+ */
+function randomText(random) {
+    const ranges = [[0x20, 0x7e], [0xa0, 0x24f], [0x400, 0x4ff], [0x4e00, 0x9fff], [0x1f300, 0x1faff], [0x1d400, 0x1d7ff]];
+    const length = Math.floor(random() * 40);
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const [low, high] = ranges[Math.floor(random() * ranges.length)];
+        text += String.fromCodePoint(low + Math.floor(random() * (high - low + 1)));
+    }
+    return text;
+}
+
+/**
+ * Park-Miller generator
+ * @param {number} seed
+ * @returns {Function}
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = state * 16807 % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Read an attribute back out of rendered HTML, as a browser would
+ * @param {string} html
+ * @param {string} name
+ * @returns {?string}
+ */
+function readAttribute(html, name) {
+    const match = new RegExp(`${name}="([^"]*)"`).exec(html);
+    if (!match) return null;
+    return match[1]
+        .replace(/&quot;/g, '"')
+        .replace(/&gt;/g, '>')
+        .replace(/&lt;/g, '<')
+        .replace(/&amp;/g, '&');
+}
+
+Object.keys(EMAIL_ENCODINGS).forEach(encoding => {
+    test(`${encoding} round-trips the sample addresses`, () => {
+        ADDRESSES.forEach(address => {
+            assert.strictEqual(decodeEmail(encodeEmail(address, encoding), encoding), address);
+        });
+    });
+
+    test(`${encoding} round-trips random text`, () => {
+        const random = seededRandom(21);
+        for (let i = 0; i < 500; i++) {
+            const text = randomText(random);
+            assert.strictEqual(decodeEmail(encodeEmail(text, encoding), encoding), text);
+        }
+    });
+
+    test(`${encoding} round-trips through a rendered link`, () => {
+        ADDRESSES.filter(Boolean).forEach(address => {
+            const html = renderEmailLink(address, { encoding: encoding, subject: '[Essay Club!]' });
+            assert.strictEqual(readAttribute(html, 'data-encoding'), encoding);
+            assert.strictEqual(decodeEmail(readAttribute(html, 'data-email'), encoding), address);
+        });
+    });
+
+    test(`${encoding} hides the address`, () => {
+        ADDRESSES.filter(address => address.includes('@')).forEach(address => {
+            const html = renderEmailLink(address, { encoding: encoding });
+            assert.ok(!html.includes(address), `${address} is in ${html}`);
+        });
+    });
+});
+
+test('charcode decodes an empty string', () => {
+    assert.strictEqual(decodeEmail('', 'charcode'), '');
+});
+
+test('unknown encodings are an error', () => {
+    assert.throws(() => encodeEmail('a@b.c', 'base64'), /Unknown email encoding "base64"/);
+    assert.throws(() => decodeEmail('a@b.c', 'base64'), /Unknown email encoding "base64"/);
+});
+
+test('mailto: URLs keep the whole address and subject', () => {
+    ADDRESSES.filter(Boolean).forEach(address => {
+        const url = new URL(buildMailto(address, '[Essay Club!] & more?'));
+        assert.strictEqual(decodeURIComponent(url.pathname), address);
+        assert.strictEqual(url.searchParams.get('subject'), '[Essay Club!] & more?');
+    });
+    assert.strictEqual(buildMailto('to@to.to'), 'mailto:to@to.to');
+});
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Tests for js/ical.js: weekly patterns become recurring events that end
+ * on their last meeting, breaks are only exceptions on days a pattern
+ * meets, and extra sessions without a time are all-day events.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildClassEvents, buildCalendar } = require('../js/ical');
+
+const OPTIONS = { uidPrefix: 'summer2026', url: 'https://praxissandiego.com/c.html', stamp: '20260601T000000Z' };
+
+/**
+ * Build a class's events and split them into their content lines
+ * @param {Object} schedule
+ * @returns {Array<Array<string>>} - Lines of each VEVENT, without BEGIN and END
+ */
+function buildEvents(schedule) {
+    const record = { id: 'essay-club', name: 'Essay Club', where: 'Central Library', schedule: schedule };
+    const events = [];
+    buildClassEvents(record, OPTIONS).forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            events.push([]);
+        } else if (line !== 'END:VEVENT') {
+            events[events.length - 1].push(line);
+        }
+    });
+    return events;
+}
+
+/**
+ * Lines of an event that start with a property name
+ * @param {Array<string>} event
+ * @param {string} name - e.g. "EXDATE"
+ * @returns {Array<string>}
+ */
+function property(event, name) {
+    return event.filter(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+}
+
+test('a weekly pattern repeats until the night of its last meeting', () => {
+    const [event] = buildEvents({
+        weekly: [{ days: ['mon'], start: '18:30', end: '20:00', firstDate: '2026-06-22', lastDate: '2026-07-20' }]
+    });
+    assert.deepStrictEqual(property(event, 'DTSTART'), ['DTSTART;TZID=America/Los_Angeles:20260622T183000']);
+    assert.deepStrictEqual(property(event, 'DTEND'), ['DTEND;TZID=America/Los_Angeles:20260622T200000']);
+    // Noon UTC on the 21st is the morning of the 21st in San Diego, after the last class
+    assert.deepStrictEqual(property(event, 'RRULE'), ['RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20260721T120000Z']);
+});
+
+test('UNTIL rolls over month and year ends', () => {
+    const [august, december] = buildEvents({
+        weekly: [
+            { days: ['mon'], start: '18:30', end: '20:00', firstDate: '2026-06-22', lastDate: '2026-08-31' },
+            { days: ['thu'], start: '18:30', end: '20:00', firstDate: '2026-11-05', lastDate: '2026-12-31' }
+        ]
+    });
+    assert.match(property(august, 'RRULE')[0], /;UNTIL=20260901T120000Z$/);
+    assert.match(property(december, 'RRULE')[0], /;UNTIL=20270101T120000Z$/);
+});
+
+test('several days and an interval go into the rule', () => {
+    const [event] = buildEvents({
+        weekly: [{ days: ['tue', 'thu'], start: '15:30', end: '16:00', firstDate: '2026-06-30', lastDate: '2026-08-13', interval: 2 }]
+    });
+    assert.deepStrictEqual(property(event, 'RRULE'), ['RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20260814T120000Z;INTERVAL=2']);
+});
+
+test('breaks are exceptions only for the patterns that meet that day', () => {
+    const [tuesdays, thursdays] = buildEvents({
+        weekly: [
+            { days: ['tue'], start: '18:00', end: '19:30', firstDate: '2026-06-23', lastDate: '2026-08-04' },
+            { days: ['thu'], start: '10:00', end: '11:00', firstDate: '2026-06-25', lastDate: '2026-08-06' }
+        ],
+        // A Tuesday, a Thursday, a Saturday neither meets, and a Tuesday after the Tuesdays end
+        skip: ['2026-07-07', '2026-07-09', '2026-07-11', '2026-08-11']
+    });
+    assert.deepStrictEqual(property(tuesdays, 'EXDATE'), ['EXDATE;TZID=America/Los_Angeles:20260707T180000']);
+    assert.deepStrictEqual(property(thursdays, 'EXDATE'), ['EXDATE;TZID=America/Los_Angeles:20260709T100000']);
+});
+
+test('a skipped first meeting is an exception too', () => {
+    const [event] = buildEvents({
+        weekly: [{ days: ['mon'], start: '18:30', end: '20:00', firstDate: '2026-06-22', lastDate: '2026-07-20' }],
+        skip: ['2026-06-22']
+    });
+    assert.deepStrictEqual(property(event, 'DTSTART'), ['DTSTART;TZID=America/Los_Angeles:20260622T183000']);
+    assert.deepStrictEqual(property(event, 'EXDATE'), ['EXDATE;TZID=America/Los_Angeles:20260622T183000']);
+});
+
+test('extra sessions without a time are all-day events', () => {
+    const [untimed, monthEnd] = buildEvents({
+        extra: [
+            { date: '2026-08-24', note: 'Potluck, <em>time to be announced</em>' },
+            { date: '2026-08-31' }
+        ]
+    });
+    assert.deepStrictEqual(property(untimed, 'DTSTART'), ['DTSTART;VALUE=DATE:20260824']);
+    assert.deepStrictEqual(property(untimed, 'DTEND'), ['DTEND;VALUE=DATE:20260825']);
+    assert.deepStrictEqual(property(untimed, 'COMMENT'), ['COMMENT:Potluck\\, time to be announced']);
+    assert.deepStrictEqual(property(untimed, 'RRULE'), []);
+    assert.deepStrictEqual(property(monthEnd, 'DTEND'), ['DTEND;VALUE=DATE:20260901']);
+    assert.deepStrictEqual(property(monthEnd, 'COMMENT'), []);
+});
+
+test('extra sessions with a time are timed events', () => {
+    const [withEnd, withoutEnd] = buildEvents({
+        extra: [
+            { date: '2026-08-24', start: '18:30', end: '20:00' },
+            { date: '2026-08-25', start: '18:30' }
+        ]
+    });
+    assert.deepStrictEqual(property(withEnd, 'DTSTART'), ['DTSTART;TZID=America/Los_Angeles:20260824T183000']);
+    assert.deepStrictEqual(property(withEnd, 'DTEND'), ['DTEND;TZID=America/Los_Angeles:20260824T200000']);
+    assert.deepStrictEqual(property(withoutEnd, 'DTEND'), ['DTEND;TZID=America/Los_Angeles:20260825T183000']);
+});
+
+test('each event has its own UID and the class details', () => {
+    const events = buildEvents({
+        weekly: [{ days: ['mon'], start: '18:30', end: '20:00', firstDate: '2026-06-22', lastDate: '2026-07-20' }],
+        extra: [{ date: '2026-08-24' }]
+    });
+    assert.deepStrictEqual(events.map(event => property(event, 'UID')[0]), [
+        'UID:summer2026-essay-club-0@praxissandiego.com',
+        'UID:summer2026-essay-club-1@praxissandiego.com'
+    ]);
+    events.forEach(event => {
+        assert.deepStrictEqual(property(event, 'SUMMARY'), ['SUMMARY:Essay Club']);
+        assert.deepStrictEqual(property(event, 'LOCATION'), ['LOCATION:Central Library']);
+        assert.deepStrictEqual(property(event, 'URL'), [`URL:${OPTIONS.url}`]);
+    });
+});
+
+test('a class with no dates has no events', () => {
+    assert.deepStrictEqual(buildEvents({ firstDate: '2026-07-18' }), []);
+});
+
+test('calendars use CRLF and fold long lines', () => {
+    const record = {
+        id: 'essay-club',
+        name: 'Essay Club',
+        description: 'A very long description. '.repeat(10),
+        schedule: { extra: [{ date: '2026-08-24' }] }
+    };
+    const ics = buildCalendar([{ record: record, uidPrefix: 'summer2026', url: OPTIONS.url }], 'Praxis');
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+    // The description didn't fit on one line
+    assert.ok(ics.includes('\r\n '));
+});
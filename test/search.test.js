@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Tests for js/search.js: results are ranked by where a term matched,
+ * field prefixes and "quoted phrases" narrow a query, small typos
+ * (including swapped letters) still match, and words in any script and
+ * with accents are found.
+ *
+ * Usage: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchQuery, editDistance, searchClasses } = require('../js/search');
+
+const RECORDS = [
+    {
+        id: 'essay-club',
+        name: 'Essay Club',
+        instructor: 'Tom Paine',
+        description: 'We read one essay a week, from Montaigne to Baldwin.',
+        when: 'Mondays, 6:30 pm',
+        where: 'Central Library',
+        term: 'Summer 2026'
+    },
+    {
+        id: 'poetry-workshop',
+        name: '<strong>Poetry</strong> Workshop',
+        instructor: 'Audre Lorde',
+        description: 'Bring a poem; the club reads it aloud.',
+        when: 'Tuesdays, 6 pm',
+        where: 'Café Moto',
+        term: 'Fall 2025'
+    },
+    {
+        id: 'reading-russian',
+        name: 'Reading Russian',
+        instructor: 'Tomás Rivera',
+        description: 'Short texts in Russian: пример, слово, книга.',
+        when: 'Thursdays, 7 pm',
+        where: 'Online',
+        term: 'Winter 2026'
+    },
+    {
+        id: 'essays-on-power',
+        name: 'Essays on Power',
+        instructor: 'Ida B. Wells',
+        description: 'A club for essays about who holds power.',
+        when: 'Saturdays, 10 am',
+        where: 'City Heights',
+        term: 'Summer 2026'
+    }
+];
+
+/**
+ * Ids of the records a query finds, best first
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function search(query) {
+    return searchClasses(RECORDS, query).records.map(record => record.id);
+}
+
+test('an empty query keeps every record in order', () => {
+    assert.deepStrictEqual(search(''), RECORDS.map(record => record.id));
+    assert.deepStrictEqual(search('   '), RECORDS.map(record => record.id));
+});
+
+test('name matches rank above description matches', () => {
+    // "club" is in the first name and in the other two descriptions
+    assert.deepStrictEqual(search('club'), ['essay-club', 'poetry-workshop', 'essays-on-power']);
+});
+
+test('whole words rank above word starts', () => {
+    // "Essay Club" has the word; "Essays on Power" only starts with it
+    assert.deepStrictEqual(search('essay'), ['essay-club', 'essays-on-power']);
+});
+
+test('every term has to match', () => {
+    assert.deepStrictEqual(search('essay power'), ['essays-on-power']);
+    assert.deepStrictEqual(search('essay russian'), []);
+});
+
+test('field prefixes search one field', () => {
+    assert.deepStrictEqual(search('tom'), ['essay-club', 'reading-russian']);
+    assert.deepStrictEqual(search('instructor:tom'), ['essay-club', 'reading-russian']);
+    assert.deepStrictEqual(search('instructor:essay'), []);
+    assert.deepStrictEqual(search('term:fall'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('TERM:"summer 2026" where:library'), ['essay-club']);
+});
+
+test('unknown prefixes are part of the text', () => {
+    assert.deepStrictEqual(parseSearchQuery('http:poetry'), [
+        { field: null, text: 'http', phrase: false },
+        { field: null, text: 'poetry', phrase: false }
+    ]);
+});
+
+test('quoted phrases match the words together and in order', () => {
+    assert.deepStrictEqual(parseSearchQuery('instructor:"Tom  P" poetry,'), [
+        { field: 'instructor', text: 'tom p', phrase: true },
+        { field: null, text: 'poetry', phrase: false }
+    ]);
+    assert.deepStrictEqual(search('"essay club"'), ['essay-club']);
+    assert.deepStrictEqual(search('"club essay"'), []);
+    assert.deepStrictEqual(search('"holds power"'), ['essays-on-power']);
+});
+
+test('markup is not searched', () => {
+    assert.deepStrictEqual(search('poetry'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('strong'), []);
+});
+
+test('accents and case are ignored', () => {
+    assert.deepStrictEqual(search('cafe'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('CAFÉ'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('tomas'), ['reading-russian']);
+});
+
+test('words in other scripts are found', () => {
+    assert.deepStrictEqual(search('пример'), ['reading-russian']);
+    assert.deepStrictEqual(search('книга'), ['reading-russian']);
+    assert.deepStrictEqual(parseSearchQuery('слово,пример'), [
+        { field: null, text: 'слово', phrase: false },
+        { field: null, text: 'пример', phrase: false }
+    ]);
+});
+
+test('swapped letters count as one typo', () => {
+    assert.strictEqual(editDistance('poetry', 'poetry', 1), 0);
+    assert.strictEqual(editDistance('poerty', 'poetry', 1), 1);
+    assert.strictEqual(editDistance('peotry', 'poetry', 1), 1);
+    assert.strictEqual(editDistance('montiagne', 'montaigne', 2), 1);
+    // Gives up past the allowance
+    assert.strictEqual(editDistance('poetry', 'pottery', 1), 2);
+    assert.strictEqual(editDistance('essay', 'power', 2), 3);
+});
+
+test('small typos still match, ranked below exact matches', () => {
+    assert.deepStrictEqual(search('poerty'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('montiagne'), ['essay-club']);
+    assert.deepStrictEqual(search('worksh'), ['poetry-workshop']);
+    assert.deepStrictEqual(search('wrokshop'), ['poetry-workshop']);
+    // "Essay" is one letter off "essays"; "Essays on Power" has the word
+    assert.deepStrictEqual(search('essays'), ['essays-on-power', 'essay-club']);
+    // Short words have to be exact
+    assert.deepStrictEqual(search('clbu'), []);
+});
+
+test('highlights are the folded text that matched', () => {
+    const { highlights } = searchClasses(RECORDS, 'Café poerty');
+    assert.deepStrictEqual(highlights.sort(), ['cafe', 'poetry']);
+});